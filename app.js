@@ -1,34 +1,37 @@
 require("dotenv").config();
 const express = require("express");
-const session = require("express-session");
 const connection = require("./connection");
 const cors = require("cors");
 const auth = require("./routes/auth");
 const admin = require("./routes/admin");
 const host = require("./routes/host");
 const guest = require("./routes/guest");
+const payments = require("./routes/payments");
 const passport = require("./config/passport");
+const { sessionMiddleware } = require("./config/session");
+const { trackSession } = require("./utils/sessions");
+const { startScheduler } = require("./utils/scheduler");
 const path = require("path");
 const app = express();
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
+// Payment webhooks are verified against the exact bytes received
 app.use(
-  session({
-    secret: process.env.SESSION_SECRET,
-    resave: false,
-    saveUninitialized: true,
-    cookie: {
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 1000 * 60 * 60 * 24,
-      httpOnly: true,
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhooks/")) {
+        req.rawBody = buf;
+      }
     },
   }),
 );
+app.use(express.urlencoded({ extended: true }));
+
+app.use(sessionMiddleware);
 
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(trackSession);
+app.use(auth.authenticateBearer);
 
 app.use(cors({ origin: "http://localhost:3000", credentials: true }));
 
@@ -42,7 +45,11 @@ app.use("/api/auth", auth);
 app.use("/api/admin", admin);
 app.use("/api/host", host);
 app.use("/api/guest", guest);
+app.use("/api/payments", payments);
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
+
+// Background jobs, see utils/jobs.js
+startScheduler();
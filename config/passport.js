@@ -1,33 +1,60 @@
 const passport = require("passport");
 const LocalStrategy = require("passport-local");
+const BearerStrategy = require("passport-http-bearer").Strategy;
 const bcrypt = require("bcryptjs");
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
+const {
+  getLockout,
+  recordFailure,
+  clearFailures,
+} = require("../utils/loginThrottle");
+const { authenticateBearerToken } = require("../utils/authTokens");
+const { sessionUserSelect, toSessionUser } = require("../utils/users");
+
+// Compared against when the email is unknown so both failure paths take
+// roughly the same time and response timing does not reveal accounts
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("invalid-password-placeholder", 12);
+
+const INVALID_CREDENTIALS = "Invalid email or password";
 
 passport.use(
   "local",
   new LocalStrategy(
-    { usernameField: "email", passwordField: "password" },
-    async (username, password, done) => {
+    {
+      usernameField: "email",
+      passwordField: "password",
+      passReqToCallback: true,
+    },
+    async (req, username, password, done) => {
       try {
-        const user = await prisma.user.findUnique({
-          where: { email: username },
-        });
-        if (!user) {
+        const lockedUntil = await getLockout(username, req.ip);
+        if (lockedUntil) {
           return done(null, false, {
-            message: "User not found",
+            message: "Too many failed login attempts. Please try again later.",
+            lockedUntil,
           });
         }
-        const isPasswordValid = await bcrypt.compare(password, user.password);
-        if (!isPasswordValid) {
-          return done(null, false, {
-            message: "Invalid password",
-          });
+
+        const user = await prisma.user.findUnique({
+          where: { email: username },
+        });
+
+        // Accounts created through an external identity have no password
+        const isPasswordValid = await bcrypt.compare(
+          password,
+          user && user.password ? user.password : DUMMY_PASSWORD_HASH,
+        );
+
+        if (!user || !user.password || !isPasswordValid) {
+          await recordFailure(username, req.ip);
+          return done(null, false, { message: INVALID_CREDENTIALS });
         }
 
-        // Don't send the password to the client
-        const { password: _, ...userWithoutPassword } = user;
-        return done(null, userWithoutPassword);
+        await clearFailures(username);
+
+        // Don't send the password or 2FA secrets to the client
+        return done(null, toSessionUser(user));
       } catch (error) {
         return done(error);
       }
@@ -35,27 +62,43 @@ passport.use(
   ),
 );
 
+// Access tokens and personal API tokens sent as "Authorization: Bearer <token>"
+passport.use(
+  "bearer",
+  new BearerStrategy(async (token, done) => {
+    try {
+      const result = await authenticateBearerToken(token);
+      if (!result) {
+        return done(null, false);
+      }
+      return done(null, result.user, result.info);
+    } catch (error) {
+      return done(error);
+    }
+  }),
+);
+
+// The session version is stored alongside the id so that bumping
+// User.sessionVersion (e.g. after a password reset) logs out every session
 passport.serializeUser((user, done) => {
-  done(null, user.id);
+  done(null, { id: user.id, sessionVersion: user.sessionVersion });
 });
 
-passport.deserializeUser(async (id, done) => {
+passport.deserializeUser(async (serialized, done) => {
   try {
+    if (!serialized || typeof serialized !== "object") {
+      return done(null, false);
+    }
+
     const user = await prisma.user.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        phone: true,
-        profileImage: true,
-        bio: true,
-        isVerified: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+      where: { id: serialized.id },
+      select: sessionUserSelect,
     });
+
+    if (!user || user.sessionVersion !== serialized.sessionVersion) {
+      return done(null, false);
+    }
+
     done(null, user);
   } catch (error) {
     done(error);
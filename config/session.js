@@ -0,0 +1,32 @@
+const session = require("express-session");
+const MySQLStore = require("express-mysql-session")(session);
+
+const SESSION_MAX_AGE = 1000 * 60 * 60 * 24;
+
+// Sessions are kept in the `sessions` table (the Session model in
+// schema.prisma), so they survive restarts and are shared across instances.
+// The table is created by Prisma migrations rather than by the store.
+const sessionStore = new MySQLStore({
+  host: process.env.DB_HOST,
+  port: parseInt(process.env.DB_PORT || "3306"),
+  user: process.env.DB_USER,
+  password: process.env.DB_PASS,
+  database: process.env.DB_NAME,
+  createDatabaseTable: false,
+  expiration: SESSION_MAX_AGE,
+});
+
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET,
+  store: sessionStore,
+  resave: false,
+  // Don't write a row for every anonymous visitor
+  saveUninitialized: false,
+  cookie: {
+    secure: process.env.NODE_ENV === "production",
+    maxAge: SESSION_MAX_AGE,
+    httpOnly: true,
+  },
+});
+
+module.exports = { sessionStore, sessionMiddleware };
@@ -2,6 +2,25 @@ const express = require("express");
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 const auth = require("./auth");
+const { hashPassword } = require("../utils/encryption");
+const { issueUserToken } = require("../utils/userTokens");
+const {
+  sendVerificationEmail,
+  sendHostApplicationDecisionEmail,
+} = require("../utils/mailer");
+const { maskPayoutDetails } = require("../utils/payoutMethods");
+const { unlockAccount, unlockIp } = require("../utils/loginThrottle");
+const { getSettings, setSetting } = require("../utils/settings");
+const { JobError, runJob, listJobs } = require("../utils/scheduler");
+const {
+  REFUND_TYPES,
+  REFUND_STATUSES,
+  RefundError,
+  refundBooking,
+  refundSummary,
+  refundsInclude,
+} = require("../utils/refunds");
+const { DepositError, resolveClaim } = require("../utils/deposits");
 
 const router = express.Router();
 
@@ -586,6 +605,7 @@ router.get("/users", auth.isAuthenticated, isAdmin, async (req, res) => {
         phone: true,
         profileImage: true,
         isVerified: true,
+        deletedAt: true,
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -604,6 +624,69 @@ router.get("/users", auth.isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
+// Create a user with any role. This is the only way to create admin accounts.
+router.post("/users", auth.isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const { name, email, password, role = "GUEST", phone } = req.body;
+
+    if (!name || !email || !password) {
+      return res
+        .status(400)
+        .json({ message: "Name, email and password are required" });
+    }
+
+    if (!["ADMIN", "HOST", "GUEST"].includes(role)) {
+      return res.status(400).json({ message: "Valid role is required" });
+    }
+
+    if (!auth.passwordRegex.test(password)) {
+      return res.status(400).json({
+        message:
+          "Password must be at least 8 characters and include uppercase, lowercase, number and special character",
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    if (existingUser) {
+      return res.status(409).json({ message: "Email already exists" });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        name,
+        email,
+        password: await hashPassword(password),
+        role,
+        phone,
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        phone: true,
+        isVerified: true,
+        createdAt: true,
+      },
+    });
+
+    try {
+      const token = await issueUserToken(user.id, "EMAIL_VERIFICATION");
+      await sendVerificationEmail(user, token);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
+
+    res.status(201).json({ message: "User created successfully", user });
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 router.put(
   "/users/:id/role",
   auth.isAuthenticated,
@@ -636,4 +719,603 @@ router.put(
   },
 );
 
+// Clear a login lockout for a user and optionally for an IP address
+router.post(
+  "/users/:id/unlock",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { ip } = req.body;
+
+      const user = await prisma.user.findUnique({
+        where: { id: parseInt(id) },
+        select: { id: true, email: true },
+      });
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const accountUnlocked = await unlockAccount(user.email);
+      const ipUnlocked = ip ? await unlockIp(ip) : false;
+
+      res.json({
+        message: "Login lockout cleared",
+        accountUnlocked,
+        ipUnlocked,
+      });
+    } catch (error) {
+      console.error("Error unlocking user:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Platform settings
+router.get("/settings", auth.isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.put(
+  "/settings/two-factor",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { requireAdminTwoFactor } = req.body;
+
+      if (typeof requireAdminTwoFactor !== "boolean") {
+        return res
+          .status(400)
+          .json({ message: "requireAdminTwoFactor must be a boolean" });
+      }
+
+      // Otherwise the admin would lock themselves out of these routes
+      if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+        return res.status(400).json({
+          message:
+            "Enable two-factor authentication on your own account before requiring it",
+        });
+      }
+
+      await setSetting(
+        "requireAdminTwoFactor",
+        requireAdminTwoFactor,
+        req.user.id,
+      );
+
+      res.json({
+        message: "Two-factor requirement updated",
+        settings: await getSettings(),
+      });
+    } catch (error) {
+      console.error("Error updating two-factor requirement:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.put(
+  "/settings/fees",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const fields = ["guestServiceFeePercent", "hostCommissionPercent"];
+      const updates = fields.filter((field) => req.body[field] !== undefined);
+
+      if (updates.length === 0) {
+        return res.status(400).json({
+          message: `Provide at least one of: ${fields.join(", ")}`,
+        });
+      }
+
+      for (const field of updates) {
+        const value = req.body[field];
+        if (typeof value !== "number" || value < 0 || value > 100) {
+          return res
+            .status(400)
+            .json({ message: `${field} must be a number between 0 and 100` });
+        }
+      }
+
+      // Changes apply to new bookings and payouts only
+      for (const field of updates) {
+        await setSetting(field, req.body[field], req.user.id);
+      }
+
+      res.json({
+        message: "Fees updated",
+        settings: await getSettings(),
+      });
+    } catch (error) {
+      console.error("Error updating fees:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.put(
+  "/settings/payouts",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const fields = ["payoutDelayDays", "depositHoldDays"];
+      const updates = fields.filter((field) => req.body[field] !== undefined);
+
+      if (updates.length === 0) {
+        return res.status(400).json({
+          message: `Provide at least one of: ${fields.join(", ")}`,
+        });
+      }
+
+      for (const field of updates) {
+        const value = req.body[field];
+        if (!Number.isInteger(value) || value < 0 || value > 90) {
+          return res.status(400).json({
+            message: `${field} must be a whole number between 0 and 90`,
+          });
+        }
+      }
+
+      // Changes apply to payouts and deposits scheduled from now on
+      for (const field of updates) {
+        await setSetting(field, req.body[field], req.user.id);
+      }
+
+      res.json({
+        message: "Payout settings updated",
+        settings: await getSettings(),
+      });
+    } catch (error) {
+      console.error("Error updating payout settings:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Host applications
+router.get(
+  "/host-applications",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { status = "PENDING" } = req.query;
+
+      const where = {};
+      if (["PENDING", "APPROVED", "REJECTED"].includes(status)) {
+        where.status = status;
+      }
+
+      // Oldest first so the queue is worked in submission order
+      const applications = await prisma.hostApplication.findMany({
+        where,
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true,
+              isVerified: true,
+              createdAt: true,
+            },
+          },
+          reviewedBy: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+        orderBy: { createdAt: "asc" },
+      });
+
+      res.json(
+        applications.map((application) => ({
+          ...application,
+          payoutDetails: maskPayoutDetails(application.payoutDetails),
+        })),
+      );
+    } catch (error) {
+      console.error("Error fetching host applications:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Approve or reject a pending host application
+const reviewHostApplication = (status) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    if (status === "REJECTED" && !note) {
+      return res
+        .status(400)
+        .json({ message: "A note is required when rejecting" });
+    }
+
+    const application = await prisma.hostApplication.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            bio: true,
+            phone: true,
+          },
+        },
+      },
+    });
+
+    if (!application) {
+      return res.status(404).json({ message: "Host application not found" });
+    }
+
+    if (application.status !== "PENDING") {
+      return res.status(400).json({
+        message: `Application has already been ${application.status.toLowerCase()}`,
+      });
+    }
+
+    const reviewedApplication = await prisma.$transaction(async (tx) => {
+      // Conditional update so two admins cannot review the same application
+      const { count } = await tx.hostApplication.updateMany({
+        where: { id: application.id, status: "PENDING" },
+        data: {
+          status,
+          reviewNote: note,
+          reviewedById: req.user.id,
+          reviewedAt: new Date(),
+        },
+      });
+
+      if (count === 0) return null;
+
+      if (status === "APPROVED") {
+        await tx.user.update({
+          where: { id: application.userId },
+          data: {
+            role: "HOST",
+            phone: application.user.phone || application.contactPhone,
+            bio: application.user.bio || application.bio,
+          },
+        });
+
+        // Earnings are paid to the method given in the application unless
+        // the host already has one
+        const hasMethod = await tx.payoutMethod.count({
+          where: { hostId: application.userId },
+        });
+        if (!hasMethod) {
+          await tx.payoutMethod.create({
+            data: {
+              hostId: application.userId,
+              method: application.payoutMethod,
+              details: application.payoutDetails,
+              isDefault: true,
+            },
+          });
+        }
+      }
+
+      return tx.hostApplication.findUnique({
+        where: { id: application.id },
+      });
+    });
+
+    if (!reviewedApplication) {
+      return res
+        .status(409)
+        .json({ message: "Application has already been reviewed" });
+    }
+
+    try {
+      await sendHostApplicationDecisionEmail(
+        application.user,
+        reviewedApplication,
+      );
+    } catch (mailError) {
+      console.error("Error sending host application email:", mailError);
+    }
+
+    res.json({
+      message: `Host application ${status.toLowerCase()}`,
+      application: {
+        ...reviewedApplication,
+        payoutDetails: maskPayoutDetails(reviewedApplication.payoutDetails),
+      },
+    });
+  } catch (error) {
+    console.error("Error reviewing host application:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+router.put(
+  "/host-applications/:id/approve",
+  auth.isAuthenticated,
+  isAdmin,
+  reviewHostApplication("APPROVED"),
+);
+
+router.put(
+  "/host-applications/:id/reject",
+  auth.isAuthenticated,
+  isAdmin,
+  reviewHostApplication("REJECTED"),
+);
+
+// Scheduled jobs
+router.get("/jobs", auth.isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    res.json(await listJobs());
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.get(
+  "/jobs/:name/runs",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const { limit = 20 } = req.query;
+
+      const runs = await prisma.jobRun.findMany({
+        where: { name },
+        orderBy: { startedAt: "desc" },
+        take: Math.min(parseInt(limit) || 20, 100),
+      });
+
+      res.json(runs);
+    } catch (error) {
+      console.error("Error fetching job runs:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Run a job now instead of waiting for its next scheduled run
+router.post(
+  "/jobs/:name/run",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const run = await runJob(req.params.name, { force: true });
+
+      if (!run) {
+        return res.status(409).json({ message: "The job is already running" });
+      }
+
+      res.json({ message: `Job ${run.status}`, run });
+    } catch (error) {
+      if (error instanceof JobError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error running job:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Refund ledger, newest first, optionally for one booking or status
+router.get("/refunds", auth.isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const { bookingId, status, type, limit = 50 } = req.query;
+
+    const where = {};
+    if (bookingId) where.bookingId = parseInt(bookingId);
+    if (REFUND_STATUSES.includes(status)) where.status = status;
+    if (REFUND_TYPES.includes(type)) where.type = type;
+
+    const refunds = await prisma.refund.findMany({
+      where,
+      include: {
+        issuedBy: { select: { id: true, name: true } },
+      },
+      orderBy: { createdAt: "desc" },
+      take: Math.min(parseInt(limit) || 50, 200),
+    });
+
+    res.json(refunds);
+  } catch (error) {
+    console.error("Error fetching refunds:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// A booking's refunds and how its money adds up
+router.get(
+  "/bookings/:id/refunds",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const booking = await prisma.booking.findUnique({
+        where: { id: parseInt(req.params.id) },
+        include: refundsInclude,
+      });
+
+      if (!booking) {
+        return res.status(404).json({ message: "Booking not found" });
+      }
+
+      res.json({
+        refunds: booking.refunds,
+        summary: refundSummary(booking),
+      });
+    } catch (error) {
+      console.error("Error fetching booking refunds:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Issue a manual refund. Without an amount the rest of the payment is
+// refunded.
+router.post(
+  "/bookings/:id/refunds",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { amount, reason } = req.body;
+
+      if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ message: "A reason is required" });
+      }
+
+      if (
+        amount !== undefined &&
+        amount !== null &&
+        (!Number.isFinite(Number(amount)) || Number(amount) <= 0)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Amount must be a positive number" });
+      }
+
+      const booking = await prisma.booking.findUnique({
+        where: { id: parseInt(req.params.id) },
+      });
+
+      if (!booking) {
+        return res.status(404).json({ message: "Booking not found" });
+      }
+
+      const refund = await refundBooking(booking.id, {
+        amount: amount === undefined || amount === null ? null : amount,
+        type: "MANUAL",
+        reason: String(reason).trim(),
+        user: req.user,
+      });
+
+      res.status(201).json({ message: "Refund issued", refund });
+    } catch (error) {
+      if (error instanceof RefundError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error issuing refund:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Payouts to hosts, soonest release first
+router.get("/payouts", auth.isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const { hostId, status, limit = 50 } = req.query;
+
+    const where = {};
+    if (hostId) where.hostId = parseInt(hostId);
+    if (["PENDING", "RELEASED", "CANCELLED"].includes(status)) {
+      where.status = status;
+    }
+
+    const payouts = await prisma.payout.findMany({
+      where,
+      include: {
+        host: { select: { id: true, name: true, email: true } },
+        booking: {
+          select: { id: true, startDate: true, endDate: true, status: true },
+        },
+      },
+      orderBy: { releaseAt: "asc" },
+      take: Math.min(parseInt(limit) || 50, 200),
+    });
+
+    res.json(payouts);
+  } catch (error) {
+    console.error("Error fetching payouts:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Security deposit claims, disputed ones by default
+router.get(
+  "/deposit-claims",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { status = "DISPUTED" } = req.query;
+
+      const where = {};
+      if (["OPEN", "ACCEPTED", "DISPUTED", "RESOLVED"].includes(status)) {
+        where.status = status;
+      }
+
+      const claims = await prisma.depositClaim.findMany({
+        where,
+        include: {
+          host: { select: { id: true, name: true, email: true } },
+          deposit: {
+            include: {
+              booking: {
+                select: {
+                  id: true,
+                  startDate: true,
+                  endDate: true,
+                  status: true,
+                  guest: { select: { id: true, name: true, email: true } },
+                  property: { select: { id: true, title: true } },
+                },
+              },
+            },
+          },
+        },
+        orderBy: { createdAt: "asc" },
+      });
+
+      res.json(claims);
+    } catch (error) {
+      console.error("Error fetching deposit claims:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Decide a claim: the awarded amount goes to the host, the rest of the
+// deposit back to the guest
+router.put(
+  "/deposit-claims/:id/resolve",
+  auth.isAuthenticated,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { awardedAmount, note } = req.body;
+
+      const claim = await resolveClaim(parseInt(req.params.id), req.user, {
+        awardedAmount,
+        note,
+      });
+
+      res.json({ message: "Claim resolved", claim });
+    } catch (error) {
+      if (error instanceof DepositError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error resolving deposit claim:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
 module.exports = router;
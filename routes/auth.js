@@ -1,19 +1,242 @@
 // server/routes/auth.js
 const express = require("express");
 const bcrypt = require("bcryptjs");
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+const archiver = require("archiver");
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 const { hashPassword } = require("../utils/encryption");
+const {
+  issueUserToken,
+  consumeUserToken,
+  latestUserToken,
+} = require("../utils/userTokens");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  clientUrl,
+} = require("../utils/mailer");
+const { isOidcEnabled, ensureOidcStrategy } = require("../utils/oidc");
+const { rateLimit } = require("../utils/rateLimit");
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  createApiToken,
+  requiredScope,
+  API_SCOPES,
+} = require("../utils/authTokens");
+const {
+  listUserSessions,
+  destroyUserSession,
+  destroyUserSessions,
+  sessionPublicId,
+} = require("../utils/sessions");
+const {
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  remainingRecoveryCodes,
+  isTwoFactorMissing,
+} = require("../utils/twoFactor");
+const {
+  getLockout,
+  recordFailure,
+  clearFailures,
+} = require("../utils/loginThrottle");
+const signedToken = require("../utils/signedToken");
+const { sessionUserSelect } = require("../utils/users");
+const {
+  collectUserData,
+  collectUserFiles,
+  deletionBlockers,
+  anonymizeUser,
+} = require("../utils/accountData");
 const passport = require("passport");
 
 const router = express.Router();
 
+// Configure multer for avatar uploads
+const avatarDir = path.join(__dirname, "../uploads/avatars");
+
+const avatarStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(avatarDir)) {
+      fs.mkdirSync(avatarDir, { recursive: true });
+    }
+    cb(null, avatarDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(
+      null,
+      `avatar-${req.user.id}-${uniqueSuffix}${path.extname(file.originalname)}`,
+    );
+  },
+});
+
+const avatarUpload = multer({
+  storage: avatarStorage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: function (req, file, cb) {
+    const filetypes = /jpeg|jpg|png|webp/;
+    const mimetype = filetypes.test(file.mimetype);
+    const extname = filetypes.test(
+      path.extname(file.originalname).toLowerCase(),
+    );
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(
+      new Error(
+        "Error: File upload only supports images (jpeg, jpg, png, webp)",
+      ),
+    );
+  },
+});
+
+// Remove an avatar file we stored; external image URLs are left alone
+const removeAvatarFile = (profileImage) => {
+  if (!profileImage || !profileImage.startsWith("/uploads/avatars/")) return;
+
+  const imagePath = path.join(avatarDir, path.basename(profileImage));
+  if (fs.existsSync(imagePath)) {
+    fs.unlinkSync(imagePath);
+  }
+};
+
+// req.login as a promise, so errors reach the route's try/catch
+const loginAsync = (req, user) =>
+  new Promise((resolve, reject) => {
+    req.login(user, (err) => (err ? reject(err) : resolve()));
+  });
+
 const passwordRegex =
   /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
 
+// Minimum delay between two verification emails for the same user
+const VERIFICATION_RESEND_COOLDOWN = 1000 * 60;
+
+// Both endpoints reveal something about accounts, so they are throttled per IP
+const checkEmailLimiter = rateLimit({
+  windowMs: 1000 * 60,
+  max: 10,
+  message: "Too many email checks, please try again later",
+});
+
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 1000 * 60 * 15,
+  max: 5,
+  message: "Too many password reset requests, please try again later",
+});
+
+// Personal API tokens are limited to their scopes; sessions and access tokens
+// are not
+const hasTokenScope = (req) => {
+  const scopes = req.authInfo && req.authInfo.scopes;
+  if (!scopes) return true;
+
+  const scope = requiredScope(req);
+  return !scope || scopes.includes(scope);
+};
+
+// Middleware to authenticate "Authorization: Bearer" requests. Requests
+// without the header keep using the session.
+const authenticateBearer = (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer ")) {
+    return next();
+  }
+
+  passport.authenticate("bearer", { session: false }, (err, user, info) => {
+    if (err) {
+      console.error("Bearer authentication error:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+
+    if (!user) {
+      return res.status(401).json({ message: "Invalid or expired token" });
+    }
+
+    req.login(user, { session: false }, (loginErr) => {
+      if (loginErr) return next(loginErr);
+      req.authInfo = info;
+      next();
+    });
+  })(req, res, next);
+};
+
+// Middleware to check if user is authenticated
+const isAuthenticated = (req, res, next) => {
+  if (req.isAuthenticated()) {
+    if (!hasTokenScope(req)) {
+      return res
+        .status(403)
+        .json({ message: `Token is missing the ${requiredScope(req)} scope` });
+    }
+    return next();
+  }
+  res.status(401).json({ message: "Unauthorized" });
+};
+
+// Middleware to check if user has specific role
+const hasRole = (roles) => {
+  return async (req, res, next) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    if (!hasTokenScope(req)) {
+      return res
+        .status(403)
+        .json({ message: `Token is missing the ${requiredScope(req)} scope` });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden: Insufficient permissions" });
+    }
+
+    try {
+      if (await isTwoFactorMissing(req.user)) {
+        return res.status(403).json({
+          message:
+            "Two-factor authentication is required for admin accounts. Enable it from your account settings.",
+        });
+      }
+    } catch (error) {
+      console.error("Error checking two-factor requirement:", error);
+      return res.status(500).json({ message: "Server error" });
+    }
+
+    next();
+  };
+};
+
+// Middleware to block actions until the user has verified their email
+const isVerified = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  if (req.user.isVerified) {
+    return next();
+  }
+
+  res
+    .status(403)
+    .json({ message: "Please verify your email address before continuing" });
+};
+
 router.post("/register", async (req, res) => {
   try {
-    const { name, email, password, role = "GUEST", phone } = req.body;
+    const { name, email, password, phone } = req.body;
 
     // Validate input
     if (!name || !email || !password) {
@@ -37,9 +260,6 @@ router.post("/register", async (req, res) => {
       return res.status(409).json({ message: "Email already exists" });
     }
 
-    // Only allow ADMIN or HOST if explicitly specified (and validated elsewhere)
-    const userRole = ["ADMIN", "HOST", "GUEST"].includes(role) ? role : "GUEST";
-
     const hashedPassword = await hashPassword(password);
 
     const newUser = await prisma.user.create({
@@ -47,7 +267,9 @@ router.post("/register", async (req, res) => {
         name,
         email,
         password: hashedPassword,
-        role: userRole,
+        // Hosts are approved through a host application and admins are
+        // created by other admins, so self-registration is always GUEST
+        role: "GUEST",
         phone,
       },
       select: {
@@ -56,10 +278,20 @@ router.post("/register", async (req, res) => {
         email: true,
         role: true,
         phone: true,
+        isVerified: true,
+        sessionVersion: true,
         createdAt: true,
       },
     });
 
+    // A failed email should not fail the signup; the user can request a resend
+    try {
+      const token = await issueUserToken(newUser.id, "EMAIL_VERIFICATION");
+      await sendVerificationEmail(newUser, token);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
+
     req.login(newUser, (err) => {
       if (err) return res.status(500).json({ message: "Auto-login failed" });
       res.status(201).json({
@@ -73,11 +305,344 @@ router.post("/register", async (req, res) => {
   }
 });
 
-router.post("/login", passport.authenticate("local"), async (req, res) => {
+// How long the second login step may take after the password was accepted
+const TWO_FACTOR_LOGIN_TTL = 60 * 5; // seconds
+
+// Remember that the first login step succeeded, until /login/2fa
+const rememberTwoFactorLogin = (req, user) => {
+  req.session.twoFactorLogin = {
+    userId: user.id,
+    expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL * 1000,
+  };
+};
+
+// Ask for the second factor after the password was accepted
+const startTwoFactorLogin = (req, res, user) => {
+  rememberTwoFactorLogin(req, user);
+
   res.json({
-    message: "Login Successful",
-    user: req.user,
+    message: "Two-factor authentication required",
+    twoFactorRequired: true,
   });
+};
+
+// Check a second-factor code. Wrong codes count towards the same lockout as
+// wrong passwords. Sends the error response and returns false on failure.
+const checkSecondFactor = async (req, res, user, code) => {
+  const lockedUntil = await getLockout(user.email, req.ip);
+  if (lockedUntil) {
+    sendLoginFailure(res, {
+      message: "Too many failed login attempts. Please try again later.",
+      lockedUntil,
+    });
+    return false;
+  }
+
+  if (!(await verifySecondFactor(user.id, code))) {
+    await recordFailure(user.email, req.ip);
+    res.status(401).json({ message: "Invalid authentication code" });
+    return false;
+  }
+
+  await clearFailures(user.email);
+  return true;
+};
+
+// Respond to a failed local authentication, honouring lockouts
+const sendLoginFailure = (res, info) => {
+  if (info && info.lockedUntil) {
+    res.set(
+      "Retry-After",
+      Math.ceil((info.lockedUntil.getTime() - Date.now()) / 1000),
+    );
+    return res.status(429).json({ message: info.message });
+  }
+
+  res.status(401).json({ message: info.message });
+};
+
+router.post("/login", (req, res, next) => {
+  if (!req.body.email || !req.body.password) {
+    return res.status(400).json({ message: "Email and password are required" });
+  }
+
+  passport.authenticate("local", (err, user, info) => {
+    if (err) {
+      console.error("Login error:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+
+    if (!user) {
+      return sendLoginFailure(res, info);
+    }
+
+    if (user.twoFactorEnabled) {
+      return startTwoFactorLogin(req, res, user);
+    }
+
+    req.login(user, (loginErr) => {
+      if (loginErr) {
+        return res.status(500).json({ message: "Server error" });
+      }
+      res.json({
+        message: "Login Successful",
+        user,
+      });
+    });
+  })(req, res, next);
+});
+
+// Second login step for users with two-factor authentication. The code can
+// be a TOTP code or a recovery code.
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const pending = req.session && req.session.twoFactorLogin;
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      return res.status(401).json({
+        message: "Two-factor login has expired, please log in again",
+      });
+    }
+
+    if (!req.body.code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: pending.userId },
+      select: sessionUserSelect,
+    });
+
+    // Deleted since the password step
+    if (!user) {
+      delete req.session.twoFactorLogin;
+      return res.status(401).json({
+        message: "Two-factor login has expired, please log in again",
+      });
+    }
+
+    if (!(await checkSecondFactor(req, res, user, req.body.code))) return;
+
+    delete req.session.twoFactorLogin;
+
+    req.login(user, (loginErr) => {
+      if (loginErr) {
+        return res.status(500).json({ message: "Server error" });
+      }
+      res.json({
+        message: "Login Successful",
+        user,
+      });
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// OpenID Connect login. Logged in users can link another identity by
+// starting the flow with ?link=true.
+const OIDC_SUCCESS_REDIRECT =
+  process.env.OIDC_SUCCESS_REDIRECT || clientUrl("/");
+const OIDC_FAILURE_REDIRECT =
+  process.env.OIDC_FAILURE_REDIRECT || clientUrl("/login");
+// Page that asks for the code and posts it to /login/2fa
+const OIDC_TWO_FACTOR_REDIRECT =
+  process.env.OIDC_TWO_FACTOR_REDIRECT || clientUrl("/login/2fa");
+
+const oidcFailure = (res, message) =>
+  res.redirect(`${OIDC_FAILURE_REDIRECT}?error=${encodeURIComponent(message)}`);
+
+const requireOidc = async (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return res
+      .status(404)
+      .json({ message: "OpenID Connect login is not configured" });
+  }
+
+  try {
+    await ensureOidcStrategy(passport);
+    next();
+  } catch (error) {
+    console.error("OpenID Connect discovery error:", error);
+    res.status(502).json({ message: "Identity provider is unavailable" });
+  }
+};
+
+router.get("/oidc/login", requireOidc, (req, res, next) => {
+  if (req.query.link === "true") {
+    if (!req.isAuthenticated() || !req.session.passport) {
+      return res
+        .status(401)
+        .json({ message: "Log in before linking an identity" });
+    }
+    req.session.oidcLinkUserId = req.user.id;
+  } else {
+    delete req.session.oidcLinkUserId;
+  }
+
+  passport.authenticate("oidc")(req, res, next);
+});
+
+router.get("/oidc/callback", requireOidc, (req, res, next) => {
+  passport.authenticate("oidc", (err, user, info) => {
+    if (err) {
+      console.error("OpenID Connect login error:", err);
+      return oidcFailure(res, "Login with the identity provider failed");
+    }
+
+    if (!user) {
+      return oidcFailure(
+        res,
+        (info && info.message) || "Login with the identity provider failed",
+      );
+    }
+
+    // Linking an identity while logged in doesn't start a new login
+    if (req.isAuthenticated() && req.user.id === user.id) {
+      return res.redirect(OIDC_SUCCESS_REDIRECT);
+    }
+
+    if (user.twoFactorEnabled) {
+      rememberTwoFactorLogin(req, user);
+      return res.redirect(OIDC_TWO_FACTOR_REDIRECT);
+    }
+
+    req.login(user, (loginErr) => {
+      if (loginErr) {
+        return oidcFailure(res, "Login with the identity provider failed");
+      }
+      res.redirect(OIDC_SUCCESS_REDIRECT);
+    });
+  })(req, res, next);
+});
+
+// Token login for mobile and third-party clients. Returns a short-lived
+// access token and a refresh token instead of a session cookie.
+router.post("/token", (req, res, next) => {
+  if (!req.body.email || !req.body.password) {
+    return res.status(400).json({ message: "Email and password are required" });
+  }
+
+  passport.authenticate(
+    "local",
+    { session: false },
+    async (err, user, info) => {
+      try {
+        if (err) throw err;
+
+        if (!user) {
+          return sendLoginFailure(res, info);
+        }
+
+        // The client exchanges this short-lived token and a code at /token/2fa
+        if (user.twoFactorEnabled) {
+          return res.json({
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            twoFactorToken: signedToken.sign(
+              { typ: "2fa", sub: user.id, sv: user.sessionVersion },
+              TWO_FACTOR_LOGIN_TTL,
+            ),
+          });
+        }
+
+        const tokens = await issueTokenPair(user);
+
+        res.json({
+          message: "Login Successful",
+          user,
+          ...tokens,
+        });
+      } catch (error) {
+        console.error("Token login error:", error);
+        res.status(500).json({ message: "Server error" });
+      }
+    },
+  )(req, res, next);
+});
+
+// Second step of token login for users with two-factor authentication
+router.post("/token/2fa", async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+
+    if (!twoFactorToken || !code) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor token and code are required" });
+    }
+
+    const payload = signedToken.verify(twoFactorToken);
+    const user =
+      payload && payload.typ === "2fa"
+        ? await prisma.user.findUnique({
+            where: { id: payload.sub },
+            select: sessionUserSelect,
+          })
+        : null;
+
+    if (!user || user.sessionVersion !== payload.sv) {
+      return res.status(401).json({
+        message: "Two-factor login has expired, please log in again",
+      });
+    }
+
+    if (!(await checkSecondFactor(req, res, user, code))) return;
+
+    const tokens = await issueTokenPair(user);
+
+    res.json({
+      message: "Login Successful",
+      user,
+      ...tokens,
+    });
+  } catch (error) {
+    console.error("Two-factor token login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/token/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (!result) {
+      return res
+        .status(401)
+        .json({ message: "Refresh token is invalid or has expired" });
+    }
+
+    res.json(result.tokens);
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Token logout: revokes the refresh token and every token rotated from it
+router.post("/token/revoke", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.json({ message: "Token revoked" });
+  } catch (error) {
+    console.error("Error revoking token:", error);
+    res.status(500).json({ message: "Server error" });
+  }
 });
 
 router.get("/logout", (req, res) => {
@@ -96,46 +661,839 @@ router.get("/me", (req, res) => {
   res.json({ user: req.user });
 });
 
-// Check if email exists (for registration form)
-router.get("/check-email/:email", async (req, res) => {
+// Update own profile
+router.put("/me", isAuthenticated, async (req, res) => {
   try {
-    const { email } = req.params;
-    const user = await prisma.user.findUnique({
-      where: { email },
-      select: { id: true },
+    const { name, phone, bio } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ message: "Name cannot be empty" });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        name: name !== undefined ? String(name).trim() : undefined,
+        phone: phone !== undefined ? phone || null : undefined,
+        bio: bio !== undefined ? bio || null : undefined,
+      },
+      select: sessionUserSelect,
     });
 
-    res.json({ exists: !!user });
+    res.json({ message: "Profile updated successfully", user });
   } catch (error) {
+    console.error("Error updating profile:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
-// Middleware to check if user is authenticated
-const isAuthenticated = (req, res, next) => {
-  if (req.isAuthenticated()) {
-    return next();
+// Upload a new avatar, replacing the previous one
+router.post("/me/avatar", isAuthenticated, (req, res) => {
+  avatarUpload.single("avatar")(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({ message: uploadError.message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: "No image uploaded" });
+      }
+
+      const user = await prisma.user.update({
+        where: { id: req.user.id },
+        data: { profileImage: `/uploads/avatars/${req.file.filename}` },
+        select: sessionUserSelect,
+      });
+
+      removeAvatarFile(req.user.profileImage);
+
+      res.json({ message: "Avatar updated successfully", user });
+    } catch (error) {
+      console.error("Error uploading avatar:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  });
+});
+
+router.delete("/me/avatar", isAuthenticated, async (req, res) => {
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { profileImage: null },
+      select: sessionUserSelect,
+    });
+
+    removeAvatarFile(req.user.profileImage);
+
+    res.json({ message: "Avatar removed successfully", user });
+  } catch (error) {
+    console.error("Error removing avatar:", error);
+    res.status(500).json({ message: "Server error" });
   }
-  res.status(401).json({ message: "Unauthorized" });
+});
+
+// Check the current password of the logged in user. Accounts created through
+// an external identity have none and may set one without confirmation.
+const confirmCurrentPassword = async (userId, currentPassword) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { password: true },
+  });
+
+  if (!user.password) return true;
+  if (!currentPassword) return false;
+
+  return bcrypt.compare(currentPassword, user.password);
 };
 
-// Middleware to check if user has specific role
-const hasRole = (roles) => {
-  return (req, res, next) => {
-    if (!req.isAuthenticated()) {
-      return res.status(401).json({ message: "Unauthorized" });
+// Change password. Other sessions are logged out; this one stays logged in.
+router.put("/me/password", isAuthenticated, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword) {
+      return res.status(400).json({ message: "New password is required" });
     }
 
-    if (roles.includes(req.user.role)) {
-      return next();
+    if (!passwordRegex.test(newPassword)) {
+      return res.status(400).json({
+        message:
+          "Password must be at least 8 characters and include uppercase, lowercase, number and special character",
+      });
     }
 
-    res.status(403).json({ message: "Forbidden: Insufficient permissions" });
-  };
-};
+    if (!(await confirmCurrentPassword(req.user.id, currentPassword))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        password: await hashPassword(newPassword),
+        sessionVersion: { increment: 1 },
+      },
+      select: sessionUserSelect,
+    });
+
+    // Bearer requests have no session to keep
+    if (!req.session || !req.session.passport) {
+      await destroyUserSessions(user.id);
+      return res.json({ message: "Password changed successfully" });
+    }
+
+    await loginAsync(req, user);
+    await destroyUserSessions(user.id, req.sessionID);
+    res.json({ message: "Password changed successfully" });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Request an email change. The new address is only used once the link sent
+// to it has been opened.
+router.put("/me/email", isAuthenticated, async (req, res) => {
+  try {
+    const { email, currentPassword } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    if (email === req.user.email) {
+      return res
+        .status(400)
+        .json({ message: "This is already your email address" });
+    }
+
+    if (!(await confirmCurrentPassword(req.user.id, currentPassword))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true },
+    });
+
+    if (existingUser) {
+      return res.status(409).json({ message: "Email already exists" });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { pendingEmail: email },
+    });
+
+    const token = await issueUserToken(req.user.id, "EMAIL_CHANGE");
+    await sendEmailChangeEmail(req.user, email, token);
+
+    res.json({
+      message: `A confirmation link has been sent to ${email}`,
+    });
+  } catch (error) {
+    console.error("Error requesting email change:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Confirm an email change with the token sent to the new address
+router.post("/me/email/confirm", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Token is required" });
+    }
+
+    const userToken = await consumeUserToken(token, "EMAIL_CHANGE");
+
+    const pending =
+      userToken &&
+      (await prisma.user.findUnique({
+        where: { id: userToken.userId },
+        select: { pendingEmail: true },
+      }));
+
+    if (!pending || !pending.pendingEmail) {
+      return res
+        .status(400)
+        .json({ message: "Confirmation link is invalid or has expired" });
+    }
+
+    // The address may have been taken since the change was requested
+    const existingUser = await prisma.user.findUnique({
+      where: { email: pending.pendingEmail },
+      select: { id: true },
+    });
+
+    if (existingUser) {
+      return res.status(409).json({ message: "Email already exists" });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userToken.userId },
+      data: {
+        email: pending.pendingEmail,
+        pendingEmail: null,
+        isVerified: true,
+      },
+      select: sessionUserSelect,
+    });
+
+    res.json({ message: "Email changed successfully", user });
+  } catch (error) {
+    // Taken between the check and the update
+    if (error.code === "P2002") {
+      return res.status(409).json({ message: "Email already exists" });
+    }
+    console.error("Error confirming email change:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Download everything we hold about the current user. ?format=json returns
+// plain JSON; the default is a ZIP with the JSON and uploaded images.
+router.get("/me/export", isAuthenticated, async (req, res) => {
+  try {
+    const data = await collectUserData(req.user.id);
+    const filename = `account-export-${req.user.id}-${
+      new Date().toISOString().split("T")[0]
+    }`;
+
+    if (req.query.format === "json") {
+      res.attachment(`${filename}.json`);
+      return res.send(JSON.stringify(data, null, 2));
+    }
+
+    const archive = archiver("zip");
+
+    archive.on("error", (archiveError) => {
+      console.error("Error building export archive:", archiveError);
+      res.destroy(archiveError);
+    });
+
+    res.attachment(`${filename}.zip`);
+    archive.pipe(res);
+
+    archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+    for (const file of collectUserFiles(data)) {
+      archive.file(file.path, { name: file.name });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error("Error exporting account data:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+});
+
+// Delete the current account. Personal data is removed but bookings and
+// reviews are kept, attached to an anonymized user.
+router.delete("/me", isAuthenticated, async (req, res) => {
+  try {
+    const { currentPassword } = req.body;
+
+    if (!(await confirmCurrentPassword(req.user.id, currentPassword))) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    const blockers = await deletionBlockers(req.user.id);
+
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        message: "Your account can't be deleted yet",
+        reasons: blockers,
+      });
+    }
+
+    await anonymizeUser(req.user.id);
+    removeAvatarFile(req.user.profileImage);
+    await destroyUserSessions(req.user.id, req.sessionID);
+
+    req.logout((err) => {
+      if (err) {
+        return res.status(500).json({ message: "Error logging out" });
+      }
+      res.json({ message: "Your account has been deleted" });
+    });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Verify email address with the token from the verification email
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Token is required" });
+    }
+
+    const userToken = await consumeUserToken(token, "EMAIL_VERIFICATION");
+
+    if (!userToken) {
+      return res
+        .status(400)
+        .json({ message: "Verification link is invalid or has expired" });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userToken.userId },
+      data: { isVerified: true },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        isVerified: true,
+      },
+    });
+
+    res.json({ message: "Email verified successfully", user });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Send a new verification email to the logged in user
+router.post("/resend-verification", isAuthenticated, async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const latest = await latestUserToken(req.user.id, "EMAIL_VERIFICATION");
+
+    if (
+      latest &&
+      Date.now() - latest.createdAt.getTime() < VERIFICATION_RESEND_COOLDOWN
+    ) {
+      return res.status(429).json({
+        message: "Please wait a minute before requesting another email",
+      });
+    }
+
+    const token = await issueUserToken(req.user.id, "EMAIL_VERIFICATION");
+    await sendVerificationEmail(req.user, token);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Request a password reset email. The response is the same whether or not
+// the account exists so that this cannot be used to discover emails.
+router.post("/forgot-password", forgotPasswordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, name: true, email: true },
+    });
+
+    if (user) {
+      try {
+        const token = await issueUserToken(user.id, "PASSWORD_RESET");
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        console.error("Error sending password reset email:", mailError);
+      }
+    }
+
+    res.json({
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res
+        .status(400)
+        .json({ message: "Token and new password are required" });
+    }
+
+    if (!passwordRegex.test(password)) {
+      return res.status(400).json({
+        message:
+          "Password must be at least 8 characters and include uppercase, lowercase, number and special character",
+      });
+    }
+
+    const userToken = await consumeUserToken(token, "PASSWORD_RESET");
+
+    if (!userToken) {
+      return res
+        .status(400)
+        .json({ message: "Reset link is invalid or has expired" });
+    }
+
+    const hashedPassword = await hashPassword(password);
+
+    // Bumping the session version logs the user out everywhere
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userToken.userId },
+        data: {
+          password: hashedPassword,
+          sessionVersion: { increment: 1 },
+        },
+        select: { id: true, sessionVersion: true },
+      }),
+      prisma.userToken.updateMany({
+        where: {
+          userId: userToken.userId,
+          purpose: "PASSWORD_RESET",
+          usedAt: null,
+        },
+        data: { usedAt: new Date() },
+      }),
+    ]);
+
+    // Keep the current session if it belongs to the same user
+    if (req.isAuthenticated() && req.user.id === user.id) {
+      req.user.sessionVersion = user.sessionVersion;
+      await loginAsync(req, req.user);
+      await destroyUserSessions(user.id, req.sessionID);
+      return res.json({ message: "Password has been reset successfully" });
+    }
+
+    await destroyUserSessions(user.id);
+
+    res.json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Two-factor authentication management
+router.get("/2fa", isAuthenticated, async (req, res) => {
+  try {
+    res.json({
+      enabled: req.user.twoFactorEnabled,
+      required: await isTwoFactorMissing(req.user),
+      recoveryCodesRemaining: req.user.twoFactorEnabled
+        ? await remainingRecoveryCodes(req.user.id)
+        : 0,
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Start enrollment: returns the secret and the otpauth:// URI for the QR code
+router.post("/2fa/setup", isAuthenticated, async (req, res) => {
+  try {
+    if (!["HOST", "ADMIN"].includes(req.user.role)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is available to hosts and admins",
+      });
+    }
+
+    if (req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Finish enrollment with a code from the app; returns the recovery codes
+router.post("/2fa/enable", isAuthenticated, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const recoveryCodes = await enableTwoFactor(req.user.id, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/2fa/disable", isAuthenticated, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    if (await isTwoFactorMissing({ ...req.user, twoFactorEnabled: false })) {
+      return res.status(400).json({
+        message: "Two-factor authentication is required for admin accounts",
+      });
+    }
+
+    if (!(await checkSecondFactor(req, res, req.user, code))) return;
+
+    await disableTwoFactor(req.user.id);
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Replace the recovery codes, e.g. after using some of them
+router.post("/2fa/recovery-codes", isAuthenticated, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    if (!(await checkSecondFactor(req, res, req.user, code))) return;
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    res.json({ message: "Recovery codes regenerated", recoveryCodes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// External identities linked to the current user
+router.get("/identities", isAuthenticated, async (req, res) => {
+  try {
+    const identities = await prisma.userIdentity.findMany({
+      where: { userId: req.user.id },
+      select: {
+        id: true,
+        provider: true,
+        email: true,
+        lastLoginAt: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json(identities);
+  } catch (error) {
+    console.error("Error fetching identities:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.delete("/identities/:id", isAuthenticated, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const identity = await prisma.userIdentity.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!identity || identity.userId !== req.user.id) {
+      return res.status(404).json({ message: "Identity not found" });
+    }
+
+    // Don't let users lock themselves out of an account without a password
+    const [user, identityCount] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { password: true },
+      }),
+      prisma.userIdentity.count({ where: { userId: req.user.id } }),
+    ]);
+
+    if (!user.password && identityCount === 1) {
+      return res.status(400).json({
+        message: "Set a password before unlinking your only sign-in identity",
+      });
+    }
+
+    await prisma.userIdentity.delete({ where: { id: identity.id } });
+
+    res.json({ message: "Identity unlinked successfully" });
+  } catch (error) {
+    console.error("Error unlinking identity:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Active login sessions of the current user
+router.get("/sessions", isAuthenticated, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user, req.sessionID);
+    res.json(sessions);
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Log out every session except the current one
+router.delete("/sessions", isAuthenticated, async (req, res) => {
+  try {
+    const revoked = await destroyUserSessions(req.user.id, req.sessionID);
+    res.json({ message: "Other sessions have been logged out", revoked });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.delete("/sessions/:id", isAuthenticated, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Revoking the current session is the same as logging out
+    if (req.session && id === sessionPublicId(req.sessionID)) {
+      return req.logout((err) => {
+        if (err) {
+          return res.status(500).json({ message: "Error logging out" });
+        }
+        res.json({ message: "Session revoked successfully" });
+      });
+    }
+
+    const revoked = await destroyUserSession(req.user.id, id);
+
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Personal API tokens can't be used to manage API tokens, otherwise a
+// narrowly scoped token could mint a broader one
+const notApiToken = (req, res, next) => {
+  if (req.authInfo && req.authInfo.scheme === "api_token") {
+    return res
+      .status(403)
+      .json({ message: "API tokens cannot be managed with an API token" });
+  }
+  next();
+};
+
+router.get("/api-tokens", isAuthenticated, notApiToken, async (req, res) => {
+  try {
+    const apiTokens = await prisma.apiToken.findMany({
+      where: { userId: req.user.id, revokedAt: null },
+      select: {
+        id: true,
+        name: true,
+        prefix: true,
+        scopes: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json(apiTokens);
+  } catch (error) {
+    console.error("Error fetching API tokens:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/api-tokens", isAuthenticated, notApiToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Name and at least one scope are required" });
+    }
+
+    const invalidScopes = scopes.filter((scope) => !API_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        message: `Invalid scopes: ${invalidScopes.join(", ")}`,
+        availableScopes: API_SCOPES,
+      });
+    }
+
+    if (
+      expiresInDays !== undefined &&
+      !(parseInt(expiresInDays) > 0 && parseInt(expiresInDays) <= 365)
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Expiry must be between 1 and 365 days" });
+    }
+
+    const { token, apiToken } = await createApiToken(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+        : null,
+    });
+
+    // The token itself is only shown once
+    res.status(201).json({
+      message: "API token created successfully",
+      token,
+      apiToken: {
+        id: apiToken.id,
+        name: apiToken.name,
+        prefix: apiToken.prefix,
+        scopes: apiToken.scopes,
+        expiresAt: apiToken.expiresAt,
+        createdAt: apiToken.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating API token:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.delete(
+  "/api-tokens/:id",
+  isAuthenticated,
+  notApiToken,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { count } = await prisma.apiToken.updateMany({
+        where: { id: parseInt(id), userId: req.user.id, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ message: "API token not found" });
+      }
+
+      res.json({ message: "API token revoked successfully" });
+    } catch (error) {
+      console.error("Error revoking API token:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Check if email exists (for registration form)
+router.get("/check-email/:email", checkEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true },
+    });
+
+    res.json({ exists: !!user });
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
 // Export middleware for use in other routes
+router.authenticateBearer = authenticateBearer;
 router.isAuthenticated = isAuthenticated;
 router.hasRole = hasRole;
+router.isVerified = isVerified;
+router.passwordRegex = passwordRegex;
 
 module.exports = router;
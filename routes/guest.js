@@ -2,6 +2,47 @@ const express = require("express");
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 const auth = require("./auth");
+const {
+  validatePayoutDetails,
+  pickPayoutDetails,
+  maskPayoutDetails,
+} = require("../utils/payoutMethods");
+const {
+  BOOKING_STATUSES,
+  BookingTransitionError,
+  transitionBooking,
+  recordInitialStatus,
+  statusHistoryInclude,
+} = require("../utils/bookingStatus");
+const {
+  BookingConflictError,
+  reserveDates,
+  validateStayDates,
+  checkAvailability,
+} = require("../utils/availability");
+const {
+  calculatePrice,
+  PricingError,
+  signQuote,
+  verifyQuote,
+  QUOTE_TTL,
+} = require("../utils/pricing");
+const { describePolicy } = require("../utils/cancellation");
+const {
+  parseOccupancy,
+  checkOccupancy,
+  capacityFilters,
+} = require("../utils/occupancy");
+const { monthCalendar, CalendarError } = require("../utils/calendar");
+const { propertyCalendarIcs } = require("../utils/ical");
+const { responseDeadline } = require("../utils/bookingRequests");
+const { settlePayment } = require("../utils/payments");
+const { refundSummary, refundsInclude } = require("../utils/refunds");
+const {
+  DepositError,
+  depositInclude,
+  respondToClaim,
+} = require("../utils/deposits");
 
 const router = express.Router();
 
@@ -69,6 +110,12 @@ router.get("/properties", async (req, res) => {
       where.rentalPeriod = rentalPeriod;
     }
 
+    // Capacity filters
+    const capacity = capacityFilters(req.query);
+    if (capacity.length > 0) {
+      where.AND = capacity;
+    }
+
     // Handle amenities filter (array of IDs)
     if (amenities) {
       const amenityIds = Array.isArray(amenities)
@@ -263,6 +310,7 @@ router.get("/properties/:slug", async (req, res) => {
       property: {
         ...property,
         averageRating,
+        cancellation: describePolicy(property),
       },
       similarProperties,
     });
@@ -290,71 +338,128 @@ router.get("/properties/:id/availability", async (req, res) => {
     // Check if property exists and is available
     const property = await prisma.property.findUnique({
       where: { id: parseInt(id) },
-      select: {
-        isAvailable: true,
-        availableFrom: true,
-        availableTo: true,
-      },
     });
 
     if (!property) {
       return res.status(404).json({ message: "Property not found" });
     }
 
-    if (!property.isAvailable) {
-      return res.json({
-        available: false,
-        message: "Property is not available",
-      });
+    res.json(await checkAvailability(property, start, end));
+  } catch (error) {
+    console.error("Error checking property availability:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// iCalendar export of a property's bookings and blocks, for other platforms.
+// The token in the URL is the only credential.
+router.get("/ical/:token.ics", async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const property = await prisma.property.findUnique({
+      where: { icalToken: token },
+      select: { id: true, title: true },
+    });
+
+    if (!property) {
+      return res.status(404).json({ message: "Calendar not found" });
     }
 
-    // Check if requested dates are within property's available range
-    if (property.availableFrom && start < property.availableFrom) {
-      return res.json({
-        available: false,
-        message: `Property is only available from ${
-          property.availableFrom.toISOString().split("T")[0]
-        }`,
-      });
+    res.type("text/calendar; charset=utf-8");
+    res.send(await propertyCalendarIcs(property, req.hostname));
+  } catch (error) {
+    console.error("Error exporting property calendar:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Get a month of per-day availability for date pickers
+router.get("/properties/:id/calendar", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { month } = req.query;
+
+    const property = await prisma.property.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!property) {
+      return res.status(404).json({ message: "Property not found" });
     }
 
-    if (property.availableTo && end > property.availableTo) {
-      return res.json({
-        available: false,
-        message: `Property is only available until ${
-          property.availableTo.toISOString().split("T")[0]
-        }`,
-      });
+    res.json(await monthCalendar(property, month));
+  } catch (error) {
+    if (error instanceof CalendarError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error("Error fetching property calendar:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
 
-    // Check for existing bookings in the requested date range
-    const existingBookings = await prisma.booking.findMany({
-      where: {
-        propertyId: parseInt(id),
-        status: { in: ["pending", "confirmed"] },
-        OR: [
-          {
-            startDate: { lte: end },
-            endDate: { gte: start },
-          },
-        ],
-      },
+// Get an itemized price quote without booking
+router.get("/properties/:id/quote", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate, guestCount, adults } = req.query;
+
+    if (!startDate || !endDate) {
+      return res
+        .status(400)
+        .json({ message: "Start and end dates are required" });
+    }
+
+    // Quote for a single guest unless told otherwise
+    const { occupancy, error: occupancyError } = parseOccupancy(
+      guestCount || adults ? req.query : { ...req.query, guestCount: 1 },
+    );
+    if (occupancyError) {
+      return res.status(400).json({ message: occupancyError });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    const dateError = validateStayDates(start, end);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
+    }
+
+    const property = await prisma.property.findUnique({
+      where: { id: parseInt(id) },
     });
 
-    if (existingBookings.length > 0) {
-      return res.json({
-        available: false,
-        message: "Property is already booked for the selected dates",
-        conflictingDates: existingBookings.map((booking) => ({
-          startDate: booking.startDate,
-          endDate: booking.endDate,
-        })),
-      });
+    if (!property) {
+      return res.status(404).json({ message: "Property not found" });
+    }
+
+    const capacityError = checkOccupancy(property, occupancy);
+    if (capacityError) {
+      return res.status(400).json({ message: capacityError });
+    }
+
+    const availability = await checkAvailability(property, start, end);
+    if (!availability.available) {
+      return res.json(availability);
     }
 
-    res.json({ available: true });
+    const stay = { start, end, guestCount: occupancy.guestCount };
+    const quote = await calculatePrice(property, stay);
+
+    res.json({
+      available: true,
+      quote: quote.breakdown,
+      // Refundable, charged on top of the total
+      securityDeposit: property.securityDeposit,
+      quoteToken: signQuote(property.id, stay, quote),
+      expiresAt: new Date(Date.now() + QUOTE_TTL * 1000),
+    });
   } catch (error) {
-    console.error("Error checking property availability:", error);
+    if (error instanceof PricingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error creating quote:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
@@ -362,14 +467,20 @@ router.get("/properties/:id/availability", async (req, res) => {
 // Protected routes (require authentication)
 
 // Create booking
-router.post("/bookings", auth.isAuthenticated, async (req, res) => {
+router.post("/bookings", auth.isAuthenticated, auth.isVerified, async (req, res) => {
   try {
-    const { propertyId, startDate, endDate, guestCount } = req.body;
+    const { propertyId, startDate, endDate, guestCount, adults, quoteToken } =
+      req.body;
 
-    if (!propertyId || !startDate || !endDate || !guestCount) {
+    if (!propertyId || !startDate || !endDate || (!guestCount && !adults)) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    const { occupancy, error: occupancyError } = parseOccupancy(req.body);
+    if (occupancyError) {
+      return res.status(400).json({ message: occupancyError });
+    }
+
     // Check if property exists and is available
     const property = await prisma.property.findUnique({
       where: { id: parseInt(propertyId) },
@@ -379,10 +490,6 @@ router.post("/bookings", auth.isAuthenticated, async (req, res) => {
       return res.status(404).json({ message: "Property not found" });
     }
 
-    if (!property.isAvailable) {
-      return res.status(400).json({ message: "Property is not available" });
-    }
-
     // Prevent booking your own property
     if (property.hostId === req.user.id) {
       return res
@@ -390,91 +497,103 @@ router.post("/bookings", auth.isAuthenticated, async (req, res) => {
         .json({ message: "You cannot book your own property" });
     }
 
+    const capacityError = checkOccupancy(property, occupancy);
+    if (capacityError) {
+      return res.status(400).json({ message: capacityError });
+    }
+
     const start = new Date(startDate);
     const end = new Date(endDate);
 
     // Validate dates
-    if (start >= end) {
-      return res
-        .status(400)
-        .json({ message: "End date must be after start date" });
+    const dateError = validateStayDates(start, end);
+    if (dateError) {
+      return res.status(400).json({ message: dateError });
     }
 
-    if (start < new Date()) {
+    // Same checks as the availability endpoint
+    const availability = await checkAvailability(property, start, end);
+    if (!availability.available) {
       return res
-        .status(400)
-        .json({ message: "Start date cannot be in the past" });
+        .status(availability.conflictingDates ? 409 : 400)
+        .json(availability);
     }
 
-    // Check if property is available for the requested dates
-    const existingBookings = await prisma.booking.findMany({
-      where: {
-        propertyId: parseInt(propertyId),
-        status: { in: ["pending", "confirmed"] },
-        OR: [
-          {
-            startDate: { lte: end },
-            endDate: { gte: start },
-          },
-        ],
-      },
-    });
-
-    if (existingBookings.length > 0) {
-      return res
-        .status(400)
-        .json({ message: "Property is already booked for the selected dates" });
-    }
+    // Itemized price, calculated in Decimal, or the price from a quote
+    const stay = { start, end, guestCount: occupancy.guestCount };
+    let price;
 
-    // Calculate total price based on property price and rental period
-    let totalPrice = property.price;
-    const diffTime = Math.abs(end - start);
-    let days = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    if (quoteToken) {
+      price = verifyQuote(quoteToken, property.id, stay);
 
-    if (days === 0) days = 1; // Minimum 1 day
-
-    switch (property.rentalPeriod) {
-      case "DAY":
-        totalPrice = property.price * days;
-        break;
-      case "MONTH":
-        totalPrice = property.price * (days / 30);
-        break;
-      case "YEAR":
-        totalPrice = property.price * (days / 365);
-        break;
-      default:
-        totalPrice = property.price;
+      if (!price) {
+        return res.status(400).json({
+          message:
+            "Quote has expired or does not match this booking, please request a new quote",
+        });
+      }
+    } else {
+      price = await calculatePrice(property, stay);
     }
 
-    // Create booking
-    const booking = await prisma.booking.create({
-      data: {
-        propertyId: parseInt(propertyId),
-        guestId: req.user.id,
-        startDate: start,
-        endDate: end,
-        guestCount: parseInt(guestCount),
-        totalPrice,
-        status: "pending",
-        paymentStatus: "unpaid",
-      },
-      include: {
-        property: {
-          select: {
-            title: true,
-            slug: true,
-            hostId: true,
+    // Create booking, checking the dates are free under a property lock
+    // so concurrent requests cannot double-book. Bookings are confirmed
+    // once paid for: Instant Book as soon as the payment goes through,
+    // requests when the host accepts and the payment is captured.
+    const instant = property.bookingMode === "INSTANT";
+
+    const booking = await reserveDates(property, start, end, async (tx) => {
+      const created = await tx.booking.create({
+        data: {
+          propertyId: parseInt(propertyId),
+          guestId: req.user.id,
+          startDate: start,
+          endDate: end,
+          ...occupancy,
+          totalPrice: price.total,
+          priceBreakdown: price.breakdown,
+          cancellationPolicy: describePolicy(property),
+          // Paid with the booking, returned after check-out
+          depositAmount: property.securityDeposit,
+          status: "pending",
+          paymentStatus: "unpaid",
+          // Released if not paid for or answered in time
+          responseDeadline: responseDeadline(property, start),
+        },
+        include: {
+          property: {
+            select: {
+              title: true,
+              slug: true,
+              hostId: true,
+            },
           },
         },
-      },
+      });
+      await recordInitialStatus(created.id, "pending", req.user, tx);
+
+      return created;
     });
 
     res.status(201).json({
-      message: "Booking created successfully",
+      message: instant
+        ? "Booking reserved, complete payment to confirm it"
+        : "Booking request created, authorize payment to send it to the host",
       booking,
     });
   } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error instanceof BookingConflictError) {
+      return res.status(409).json({
+        message: error.message,
+        conflictingDates: error.conflicts.map((booking) => ({
+          startDate: booking.startDate,
+          endDate: booking.endDate,
+        })),
+      });
+    }
     console.error("Error creating booking:", error);
     res.status(500).json({ message: "Server error" });
   }
@@ -490,10 +609,7 @@ router.get("/bookings", auth.isAuthenticated, async (req, res) => {
     const where = { guestId: userId };
 
     // Filter by status if provided
-    if (
-      status &&
-      ["pending", "confirmed", "cancelled", "completed"].includes(status)
-    ) {
+    if (status && BOOKING_STATUSES.includes(status)) {
       where.status = status;
     }
 
@@ -522,11 +638,20 @@ router.get("/bookings", auth.isAuthenticated, async (req, res) => {
             },
           },
         },
+        statusHistory: statusHistoryInclude,
+        ...refundsInclude,
+        ...depositInclude,
       },
       orderBy: { createdAt: "desc" },
     });
 
-    res.json(bookings);
+    // Refund history with totals that add up to the booking's price
+    res.json(
+      bookings.map(({ paymentIntents, ...booking }) => ({
+        ...booking,
+        payment: refundSummary({ ...booking, paymentIntents }),
+      })),
+    );
   } catch (error) {
     console.error("Error fetching user bookings:", error);
     res.status(500).json({ message: "Server error" });
@@ -537,6 +662,7 @@ router.get("/bookings", auth.isAuthenticated, async (req, res) => {
 router.put("/bookings/:id/cancel", auth.isAuthenticated, async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
 
     // Check if booking exists and belongs to the user
     const booking = await prisma.booking.findUnique({
@@ -560,42 +686,78 @@ router.put("/bookings/:id/cancel", auth.isAuthenticated, async (req, res) => {
         .json({ message: "Not authorized to cancel this booking" });
     }
 
-    if (booking.status !== "pending" && booking.status !== "confirmed") {
-      return res
-        .status(400)
-        .json({
-          message: `Cannot cancel a booking with status: ${booking.status}`,
-        });
-    }
+    // Allowed transitions, history and the refund by the booking's
+    // cancellation policy are handled centrally
+    const { booking: updatedBooking } = await transitionBooking(
+      booking.id,
+      "cancelled",
+      { user: req.user, reason },
+    );
 
-    // Check if cancellation is allowed (e.g., not within 24 hours of start date)
-    const now = new Date();
-    const startDate = new Date(booking.startDate);
-    const hoursUntilStart = (startDate - now) / (1000 * 60 * 60);
-
-    if (hoursUntilStart < 24) {
-      return res.status(400).json({
-        message:
-          "Cancellations must be made at least 24 hours before the booking start date",
-      });
-    }
-
-    // Update booking status
-    const updatedBooking = await prisma.booking.update({
-      where: { id: parseInt(id) },
-      data: { status: "cancelled" },
-    });
+    // Release the authorization or refund by the policy
+    await settlePayment(booking.id, req.user);
 
     res.json({
       message: `Booking for ${booking.property.title} has been cancelled`,
       booking: updatedBooking,
     });
   } catch (error) {
+    if (error instanceof BookingTransitionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error("Error cancelling booking:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// Accept or dispute the host's claim on the security deposit. Disputed
+// claims are decided by an admin.
+router.put(
+  "/bookings/:id/deposit-claims/:claimId",
+  auth.isAuthenticated,
+  async (req, res) => {
+    try {
+      const { action, response } = req.body;
+
+      if (!["accept", "dispute"].includes(action)) {
+        return res
+          .status(400)
+          .json({ message: "Action must be accept or dispute" });
+      }
+
+      const claim = await prisma.depositClaim.findFirst({
+        where: {
+          id: parseInt(req.params.claimId),
+          deposit: { bookingId: parseInt(req.params.id) },
+        },
+      });
+
+      if (!claim) {
+        return res.status(404).json({ message: "Claim not found" });
+      }
+
+      const updated = await respondToClaim(claim.id, req.user, {
+        accept: action === "accept",
+        response,
+      });
+
+      res.json({
+        message:
+          action === "accept"
+            ? "Claim accepted"
+            : "Claim disputed, an admin will review it",
+        claim: updated,
+      });
+    } catch (error) {
+      if (error instanceof DepositError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error responding to deposit claim:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
 // Add review
 router.post("/reviews", auth.isAuthenticated, async (req, res) => {
   try {
@@ -958,4 +1120,97 @@ router.delete(
   },
 );
 
+// Host application
+router.get("/host-application", auth.isAuthenticated, async (req, res) => {
+  try {
+    const applications = await prisma.hostApplication.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json(
+      applications.map((application) => ({
+        ...application,
+        payoutDetails: maskPayoutDetails(application.payoutDetails),
+      })),
+    );
+  } catch (error) {
+    console.error("Error fetching host applications:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post(
+  "/host-application",
+  auth.isAuthenticated,
+  auth.isVerified,
+  async (req, res) => {
+    try {
+      const {
+        contactName,
+        contactEmail,
+        contactPhone,
+        payoutMethod,
+        payoutDetails,
+        bio,
+      } = req.body;
+
+      if (req.user.role !== "GUEST") {
+        return res
+          .status(400)
+          .json({ message: "Only guests can apply to become a host" });
+      }
+
+      if (
+        !contactName ||
+        !contactEmail ||
+        !contactPhone ||
+        !payoutMethod ||
+        !bio
+      ) {
+        return res.status(400).json({ message: "Required fields missing" });
+      }
+
+      const payoutError = validatePayoutDetails(payoutMethod, payoutDetails);
+      if (payoutError) {
+        return res.status(400).json({ message: payoutError });
+      }
+
+      // Only one application can be waiting for review at a time
+      const pendingApplication = await prisma.hostApplication.findFirst({
+        where: { userId: req.user.id, status: "PENDING" },
+      });
+
+      if (pendingApplication) {
+        return res
+          .status(409)
+          .json({ message: "You already have a pending host application" });
+      }
+
+      const application = await prisma.hostApplication.create({
+        data: {
+          userId: req.user.id,
+          contactName,
+          contactEmail,
+          contactPhone,
+          payoutMethod,
+          payoutDetails: pickPayoutDetails(payoutMethod, payoutDetails),
+          bio,
+        },
+      });
+
+      res.status(201).json({
+        message: "Host application submitted successfully",
+        application: {
+          ...application,
+          payoutDetails: maskPayoutDetails(application.payoutDetails),
+        },
+      });
+    } catch (error) {
+      console.error("Error submitting host application:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
 module.exports = router;
@@ -6,6 +6,60 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const slugify = require("slugify");
+const {
+  BOOKING_STATUSES,
+  BookingTransitionError,
+  checkTransition,
+  transitionBooking,
+  statusHistoryInclude,
+} = require("../utils/bookingStatus");
+const {
+  validatePricingFields,
+  pickPricingFields,
+} = require("../utils/pricing");
+const {
+  validateCancellationPolicy,
+  pickCancellationPolicy,
+} = require("../utils/cancellation");
+const {
+  validateCapacityFields,
+  pickCapacityFields,
+} = require("../utils/occupancy");
+const {
+  validateStayRuleFields,
+  pickStayRuleFields,
+} = require("../utils/stayRules");
+const { BookingConflictError } = require("../utils/availability");
+const { createBlock } = require("../utils/calendar");
+const { validateFeedUrl, syncFeed } = require("../utils/ical");
+const {
+  validateBookingModeFields,
+  pickBookingModeFields,
+} = require("../utils/bookingRequests");
+const {
+  PaymentError,
+  capturePayment,
+  settlePayment,
+} = require("../utils/payments");
+const {
+  PayoutError,
+  monthlyStatement,
+  statementMonths,
+  hostEarningsSummary,
+  formatPayoutMethod,
+} = require("../utils/payouts");
+const {
+  validatePayoutDetails,
+  pickPayoutDetails,
+} = require("../utils/payoutMethods");
+const {
+  MAX_EVIDENCE_FILES,
+  EVIDENCE_DIR,
+  DepositError,
+  depositInclude,
+  fileClaim,
+} = require("../utils/deposits");
+const { generateSecureToken } = require("../utils/encryption");
 
 const router = express.Router();
 
@@ -50,6 +104,38 @@ const upload = multer({
   },
 });
 
+// Configure multer for deposit claim evidence
+const evidenceUpload = multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      if (!fs.existsSync(EVIDENCE_DIR)) {
+        fs.mkdirSync(EVIDENCE_DIR, { recursive: true });
+      }
+      cb(null, EVIDENCE_DIR);
+    },
+    filename: function (req, file, cb) {
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      cb(null, `claim-${uniqueSuffix}${path.extname(file.originalname)}`);
+    },
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: function (req, file, cb) {
+    const filetypes = /jpeg|jpg|png|webp|pdf/;
+    const mimetype = filetypes.test(file.mimetype);
+    const extname = filetypes.test(
+      path.extname(file.originalname).toLowerCase(),
+    );
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(
+      new Error(
+        "Error: Evidence must be images (jpeg, jpg, png, webp) or PDF files",
+      ),
+    );
+  },
+});
+
 // Get host's properties
 router.get(
   "/properties",
@@ -147,6 +233,7 @@ router.post(
   "/properties",
   auth.isAuthenticated,
   isHostOrAdmin,
+  auth.isVerified,
   async (req, res) => {
     try {
       const {
@@ -171,6 +258,8 @@ router.post(
         locationFeatureIds,
         availableFrom,
         availableTo,
+        cancellationPolicy = "FLEXIBLE",
+        cancellationTiers,
       } = req.body;
 
       // Basic validation
@@ -192,6 +281,34 @@ router.post(
           .json({ message: "Rental period is required for rentals" });
       }
 
+      const pricingError = validatePricingFields(req.body);
+      if (pricingError) {
+        return res.status(400).json({ message: pricingError });
+      }
+
+      const capacityError = validateCapacityFields(req.body);
+      if (capacityError) {
+        return res.status(400).json({ message: capacityError });
+      }
+
+      const stayRuleError = validateStayRuleFields(req.body);
+      if (stayRuleError) {
+        return res.status(400).json({ message: stayRuleError });
+      }
+
+      const bookingModeError = validateBookingModeFields(req.body);
+      if (bookingModeError) {
+        return res.status(400).json({ message: bookingModeError });
+      }
+
+      const policyError = validateCancellationPolicy(
+        cancellationPolicy,
+        cancellationTiers,
+      );
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
+      }
+
       // Create slug from title
       let slug = slugify(title, {
         lower: true,
@@ -216,6 +333,11 @@ router.post(
           price: parseFloat(price),
           listingType,
           rentalPeriod: listingType === "RENT" ? rentalPeriod : null,
+          ...pickPricingFields(req.body),
+          ...pickCapacityFields(req.body),
+          ...pickStayRuleFields(req.body),
+          ...pickBookingModeFields(req.body),
+          ...pickCancellationPolicy(cancellationPolicy, cancellationTiers),
           bedrooms: bedrooms ? parseInt(bedrooms) : null,
           bathrooms: bathrooms ? parseInt(bathrooms) : null,
           area: area ? parseFloat(area) : null,
@@ -286,12 +408,14 @@ router.put(
         isAvailable,
         availableFrom,
         availableTo,
+        cancellationPolicy,
+        cancellationTiers,
       } = req.body;
 
       // Check if property exists and belongs to the user
       const existingProperty = await prisma.property.findUnique({
         where: { id: parseInt(id) },
-        select: { hostId: true },
+        select: { hostId: true, minNights: true, maxNights: true },
       });
 
       if (!existingProperty) {
@@ -307,6 +431,34 @@ router.put(
           .json({ message: "Not authorized to update this property" });
       }
 
+      const pricingError = validatePricingFields(req.body);
+      if (pricingError) {
+        return res.status(400).json({ message: pricingError });
+      }
+
+      const capacityError = validateCapacityFields(req.body);
+      if (capacityError) {
+        return res.status(400).json({ message: capacityError });
+      }
+
+      const stayRuleError = validateStayRuleFields(req.body, existingProperty);
+      if (stayRuleError) {
+        return res.status(400).json({ message: stayRuleError });
+      }
+
+      const bookingModeError = validateBookingModeFields(req.body);
+      if (bookingModeError) {
+        return res.status(400).json({ message: bookingModeError });
+      }
+
+      const policyError =
+        cancellationPolicy !== undefined
+          ? validateCancellationPolicy(cancellationPolicy, cancellationTiers)
+          : null;
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
+      }
+
       // Update property
       const property = await prisma.property.update({
         where: { id: parseInt(id) },
@@ -316,6 +468,13 @@ router.put(
           price: price ? parseFloat(price) : undefined,
           listingType,
           rentalPeriod: listingType === "RENT" ? rentalPeriod : null,
+          ...pickPricingFields(req.body),
+          ...pickCapacityFields(req.body),
+          ...pickStayRuleFields(req.body),
+          ...pickBookingModeFields(req.body),
+          ...(cancellationPolicy !== undefined
+            ? pickCancellationPolicy(cancellationPolicy, cancellationTiers)
+            : {}),
           bedrooms: bedrooms ? parseInt(bedrooms) : null,
           bathrooms: bathrooms ? parseInt(bathrooms) : null,
           area: area ? parseFloat(area) : null,
@@ -648,6 +807,363 @@ router.put(
   },
 );
 
+// Calendar blocks
+router.get(
+  "/properties/:id/calendar-blocks",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const property = await prisma.property.findUnique({
+        where: { id: parseInt(id) },
+        select: { hostId: true },
+      });
+
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      if (property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to view this property" });
+      }
+
+      // Only blocks that haven't ended yet
+      const blocks = await prisma.calendarBlock.findMany({
+        where: { propertyId: parseInt(id), endDate: { gt: new Date() } },
+        include: { feed: { select: { id: true, name: true } } },
+        orderBy: { startDate: "asc" },
+      });
+
+      res.json(blocks);
+    } catch (error) {
+      console.error("Error fetching calendar blocks:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.post(
+  "/properties/:id/calendar-blocks",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { startDate, endDate, note } = req.body;
+
+      if (!startDate || !endDate) {
+        return res
+          .status(400)
+          .json({ message: "Start and end dates are required" });
+      }
+
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+
+      if (isNaN(start) || isNaN(end) || start >= end) {
+        return res
+          .status(400)
+          .json({ message: "End date must be after start date" });
+      }
+
+      if (end <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: "Cannot block dates in the past" });
+      }
+
+      const property = await prisma.property.findUnique({
+        where: { id: parseInt(id) },
+        select: { id: true, hostId: true },
+      });
+
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      if (property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to update this property" });
+      }
+
+      const block = await createBlock(
+        property,
+        { start, end, note: note || null },
+        req.user.id,
+      );
+
+      res.status(201).json({ message: "Dates blocked", block });
+    } catch (error) {
+      if (error instanceof BookingConflictError) {
+        return res.status(409).json({
+          message: "The selected dates overlap an existing booking",
+          conflictingDates: error.conflicts.map((booking) => ({
+            startDate: booking.startDate,
+            endDate: booking.endDate,
+          })),
+        });
+      }
+      console.error("Error blocking dates:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.delete(
+  "/properties/:propertyId/calendar-blocks/:blockId",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { propertyId, blockId } = req.params;
+
+      const block = await prisma.calendarBlock.findFirst({
+        where: { id: parseInt(blockId), propertyId: parseInt(propertyId) },
+        include: { property: { select: { hostId: true } } },
+      });
+
+      if (!block) {
+        return res.status(404).json({ message: "Calendar block not found" });
+      }
+
+      if (block.property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to update this property" });
+      }
+
+      if (block.source !== "MANUAL") {
+        return res.status(400).json({
+          message:
+            "Imported dates are managed by their calendar feed, remove the feed instead",
+        });
+      }
+
+      await prisma.calendarBlock.delete({ where: { id: block.id } });
+
+      res.json({ message: "Dates unblocked" });
+    } catch (error) {
+      console.error("Error unblocking dates:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Calendar sync: the .ics export link and imported external calendars
+const icalExportUrl = (req, token) =>
+  `${req.protocol}://${req.get("host")}/api/guest/ical/${token}.ics`;
+
+router.get(
+  "/properties/:id/ical",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const property = await prisma.property.findUnique({
+        where: { id: parseInt(id) },
+        select: {
+          hostId: true,
+          icalToken: true,
+          icalFeeds: { orderBy: { createdAt: "asc" } },
+        },
+      });
+
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      if (property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to view this property" });
+      }
+
+      res.json({
+        exportUrl: property.icalToken
+          ? icalExportUrl(req, property.icalToken)
+          : null,
+        feeds: property.icalFeeds,
+      });
+    } catch (error) {
+      console.error("Error fetching calendar sync:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Create or replace the export link; the old link stops working
+router.post(
+  "/properties/:id/ical/token",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const property = await prisma.property.findUnique({
+        where: { id: parseInt(id) },
+        select: { hostId: true },
+      });
+
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      if (property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to update this property" });
+      }
+
+      const icalToken = generateSecureToken();
+
+      await prisma.property.update({
+        where: { id: parseInt(id) },
+        data: { icalToken },
+      });
+
+      res.json({
+        message: "Calendar export link created",
+        exportUrl: icalExportUrl(req, icalToken),
+      });
+    } catch (error) {
+      console.error("Error creating calendar export link:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.post(
+  "/properties/:id/ical/feeds",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, url } = req.body;
+
+      if (!name || !url) {
+        return res.status(400).json({ message: "Name and URL are required" });
+      }
+
+      const urlError = validateFeedUrl(url);
+      if (urlError) {
+        return res.status(400).json({ message: urlError });
+      }
+
+      const property = await prisma.property.findUnique({
+        where: { id: parseInt(id) },
+        select: { hostId: true },
+      });
+
+      if (!property) {
+        return res.status(404).json({ message: "Property not found" });
+      }
+
+      if (property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to update this property" });
+      }
+
+      const feed = await prisma.icalFeed.create({
+        data: { propertyId: parseInt(id), name, url },
+      });
+
+      // Import right away so the host sees whether the URL works
+      const sync = await syncFeed(feed);
+
+      res.status(201).json({
+        message: "Calendar feed added",
+        feed: await prisma.icalFeed.findUnique({ where: { id: feed.id } }),
+        sync,
+      });
+    } catch (error) {
+      console.error("Error adding calendar feed:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.post(
+  "/properties/:propertyId/ical/feeds/:feedId/sync",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { propertyId, feedId } = req.params;
+
+      const feed = await prisma.icalFeed.findFirst({
+        where: { id: parseInt(feedId), propertyId: parseInt(propertyId) },
+        include: { property: { select: { hostId: true } } },
+      });
+
+      if (!feed) {
+        return res.status(404).json({ message: "Calendar feed not found" });
+      }
+
+      if (feed.property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to update this property" });
+      }
+
+      const sync = await syncFeed(feed);
+
+      res.json({
+        message: sync.error
+          ? "Calendar feed could not be imported"
+          : "Calendar feed imported",
+        sync,
+      });
+    } catch (error) {
+      console.error("Error importing calendar feed:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Removing a feed also removes the dates it blocked
+router.delete(
+  "/properties/:propertyId/ical/feeds/:feedId",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { propertyId, feedId } = req.params;
+
+      const feed = await prisma.icalFeed.findFirst({
+        where: { id: parseInt(feedId), propertyId: parseInt(propertyId) },
+        include: { property: { select: { hostId: true } } },
+      });
+
+      if (!feed) {
+        return res.status(404).json({ message: "Calendar feed not found" });
+      }
+
+      if (feed.property.hostId !== req.user.id && req.user.role !== "ADMIN") {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to update this property" });
+      }
+
+      await prisma.icalFeed.delete({ where: { id: feed.id } });
+
+      res.json({ message: "Calendar feed removed" });
+    } catch (error) {
+      console.error("Error removing calendar feed:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
 // Get host bookings
 router.get(
   "/bookings",
@@ -666,10 +1182,7 @@ router.get(
       };
 
       // Filter by status if provided
-      if (
-        status &&
-        ["pending", "confirmed", "cancelled", "completed"].includes(status)
-      ) {
+      if (status && BOOKING_STATUSES.includes(status)) {
         where.status = status;
       }
 
@@ -698,6 +1211,8 @@ router.get(
               profileImage: true,
             },
           },
+          statusHistory: statusHistoryInclude,
+          ...depositInclude,
         },
         orderBy: { createdAt: "desc" },
       });
@@ -718,7 +1233,7 @@ router.put(
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
       if (
         !status ||
@@ -727,45 +1242,324 @@ router.put(
         return res.status(400).json({ message: "Invalid status" });
       }
 
-      // Check if booking exists
-      const booking = await prisma.booking.findUnique({
-        where: { id: parseInt(id) },
-        include: {
-          property: {
-            select: {
-              hostId: true,
-              title: true,
-            },
-          },
-        },
-      });
+      // Accepting a request captures the guest's payment, which confirms
+      // the booking, so check the change is allowed before charging
+      if (status === "confirmed") {
+        const existing = await prisma.booking.findUnique({
+          where: { id: parseInt(id) },
+          include: { property: { select: { hostId: true, title: true } } },
+        });
 
-      if (!booking) {
-        return res.status(404).json({ message: "Booking not found" });
+        if (!existing) {
+          return res.status(404).json({ message: "Booking not found" });
+        }
+
+        checkTransition(existing, "confirmed", req.user);
+
+        if (existing.paymentStatus !== "authorized") {
+          return res
+            .status(400)
+            .json({ message: "The guest has not authorized payment yet" });
+        }
+
+        const booking = await capturePayment(existing.id, req.user);
+
+        if (booking.status !== "confirmed") {
+          return res.status(409).json({
+            message: "The booking could not be confirmed, please reload it",
+            booking,
+          });
+        }
+
+        return res.json({
+          message: `Booking for ${existing.property.title} has been confirmed`,
+          booking,
+        });
+      }
+
+      // Ownership, allowed transitions and history are handled centrally
+      const { previous, booking } = await transitionBooking(
+        parseInt(id),
+        status,
+        { user: req.user, reason },
+      );
+
+      // Release the authorization or refund the guest
+      if (status === "cancelled") {
+        await settlePayment(booking.id, req.user);
       }
 
-      // Check if user is the host
+      res.json({
+        message: `Booking for ${previous.property.title} has been ${status}`,
+        booking,
+      });
+    } catch (error) {
       if (
-        booking.property.hostId !== req.user.id &&
-        req.user.role !== "ADMIN"
+        error instanceof BookingTransitionError ||
+        error instanceof PaymentError
       ) {
-        return res
-          .status(403)
-          .json({ message: "Not authorized to update this booking" });
+        return res.status(error.status).json({ message: error.message });
       }
+      console.error("Error updating booking status:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
 
-      // Update booking status
-      const updatedBooking = await prisma.booking.update({
-        where: { id: parseInt(id) },
-        data: { status },
+// Claim part or all of a booking's security deposit, with evidence files
+router.post(
+  "/bookings/:id/deposit-claims",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  (req, res) => {
+    evidenceUpload.array("evidence", MAX_EVIDENCE_FILES)(
+      req,
+      res,
+      async (uploadError) => {
+        const files = req.files || [];
+        // Don't keep evidence for a claim that wasn't filed
+        const discardFiles = () =>
+          files.forEach((file) => fs.unlink(file.path, () => {}));
+
+        try {
+          if (uploadError) {
+            discardFiles();
+            return res.status(400).json({ message: uploadError.message });
+          }
+
+          const claim = await fileClaim(parseInt(req.params.id), req.user, {
+            amount: req.body.amount,
+            description: req.body.description,
+            evidence: files.map((file) => file.filename),
+          });
+
+          res.status(201).json({ message: "Claim filed", claim });
+        } catch (error) {
+          discardFiles();
+
+          if (error instanceof DepositError) {
+            return res.status(error.status).json({ message: error.message });
+          }
+          console.error("Error filing deposit claim:", error);
+          res.status(500).json({ message: "Server error" });
+        }
+      },
+    );
+  },
+);
+
+// Payout methods
+router.get(
+  "/payout-methods",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const methods = await prisma.payoutMethod.findMany({
+        where: { hostId: req.user.id },
+        orderBy: { createdAt: "asc" },
       });
 
-      res.json({
-        message: `Booking for ${booking.property.title} has been ${status}`,
-        booking: updatedBooking,
+      res.json(methods.map(formatPayoutMethod));
+    } catch (error) {
+      console.error("Error fetching payout methods:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.post(
+  "/payout-methods",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { method, details, isDefault } = req.body;
+
+      const payoutError = validatePayoutDetails(method, details);
+      if (payoutError) {
+        return res.status(400).json({ message: payoutError });
+      }
+
+      const created = await prisma.$transaction(async (tx) => {
+        // The first method is always the default
+        const makeDefault =
+          isDefault === true ||
+          (await tx.payoutMethod.count({ where: { hostId: req.user.id } })) ===
+            0;
+
+        if (makeDefault) {
+          await tx.payoutMethod.updateMany({
+            where: { hostId: req.user.id },
+            data: { isDefault: false },
+          });
+        }
+
+        return tx.payoutMethod.create({
+          data: {
+            hostId: req.user.id,
+            method,
+            details: pickPayoutDetails(method, details),
+            isDefault: makeDefault,
+          },
+        });
+      });
+
+      res.status(201).json({
+        message: "Payout method added",
+        payoutMethod: formatPayoutMethod(created),
       });
     } catch (error) {
-      console.error("Error updating booking status:", error);
+      console.error("Error adding payout method:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Make a payout method the default. Pending payouts are released to it.
+router.put(
+  "/payout-methods/:id/default",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const method = await prisma.payoutMethod.findFirst({
+        where: { id: parseInt(req.params.id), hostId: req.user.id },
+      });
+
+      if (!method) {
+        return res.status(404).json({ message: "Payout method not found" });
+      }
+
+      await prisma.$transaction([
+        prisma.payoutMethod.updateMany({
+          where: { hostId: req.user.id },
+          data: { isDefault: false },
+        }),
+        prisma.payoutMethod.update({
+          where: { id: method.id },
+          data: { isDefault: true },
+        }),
+      ]);
+
+      res.json({ message: "Default payout method updated" });
+    } catch (error) {
+      console.error("Error updating payout method:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.delete(
+  "/payout-methods/:id",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const method = await prisma.payoutMethod.findFirst({
+        where: { id: parseInt(req.params.id), hostId: req.user.id },
+      });
+
+      if (!method) {
+        return res.status(404).json({ message: "Payout method not found" });
+      }
+
+      // Pending payouts need somewhere to go
+      if (method.isDefault) {
+        const pending = await prisma.payout.count({
+          where: { hostId: req.user.id, status: "PENDING" },
+        });
+
+        if (pending > 0) {
+          return res.status(400).json({
+            message:
+              "Make another payout method the default before removing this one",
+          });
+        }
+      }
+
+      await prisma.payoutMethod.delete({ where: { id: method.id } });
+
+      res.json({ message: "Payout method removed" });
+    } catch (error) {
+      console.error("Error removing payout method:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Payouts, latest release first
+router.get(
+  "/payouts",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      const where = { hostId: req.user.id };
+      if (["PENDING", "RELEASED", "CANCELLED"].includes(status)) {
+        where.status = status;
+      }
+
+      const payouts = await prisma.payout.findMany({
+        where,
+        include: {
+          booking: {
+            select: {
+              id: true,
+              startDate: true,
+              endDate: true,
+              status: true,
+              property: { select: { id: true, title: true } },
+            },
+          },
+          payoutMethod: true,
+        },
+        orderBy: { releaseAt: "desc" },
+      });
+
+      res.json(
+        payouts.map((payout) => ({
+          ...payout,
+          payoutMethod:
+            payout.payoutMethod && formatPayoutMethod(payout.payoutMethod),
+        })),
+      );
+    } catch (error) {
+      console.error("Error fetching payouts:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Monthly earnings statements
+router.get(
+  "/statements",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      res.json(await statementMonths(req.user.id));
+    } catch (error) {
+      console.error("Error fetching statements:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+router.get(
+  "/statements/:month",
+  auth.isAuthenticated,
+  isHostOrAdmin,
+  async (req, res) => {
+    try {
+      res.json(await monthlyStatement(req.user.id, req.params.month));
+    } catch (error) {
+      if (error instanceof PayoutError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error fetching statement:", error);
       res.status(500).json({ message: "Server error" });
     }
   },
@@ -812,20 +1606,9 @@ router.get(
         bookings.total += stat._count.id;
       });
 
-      // Get total revenue
-      const revenue = await prisma.booking.aggregate({
-        where: {
-          property: {
-            hostId: userId,
-          },
-          status: {
-            in: ["confirmed", "completed"],
-          },
-        },
-        _sum: {
-          totalPrice: true,
-        },
-      });
+      // Earnings from the payout ledger: what guests paid less refunds,
+      // fees and commission
+      const revenue = await hostEarningsSummary(userId);
 
       // Get recent bookings
       const recentBookings = await prisma.booking.findMany({
@@ -858,7 +1641,8 @@ router.get(
         },
         bookings,
         revenue: {
-          total: revenue._sum.totalPrice || 0,
+          total: revenue.net,
+          ...revenue,
         },
         recentBookings,
       });
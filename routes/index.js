@@ -9,30 +9,90 @@ router.get("/", (req, res) => {
         register: "POST /api/auth/register",
         login: "POST /api/auth/login",
         logout: "GET /api/auth/logout",
-        me: "GET /api/auth/me",
+        me: "GET, PUT, DELETE /api/auth/me",
+        exportData: "GET /api/auth/me/export",
+        avatar: "POST, DELETE /api/auth/me/avatar",
+        changePassword: "PUT /api/auth/me/password",
+        changeEmail: "PUT /api/auth/me/email",
+        confirmEmailChange: "POST /api/auth/me/email/confirm",
+        loginTwoFactor: "POST /api/auth/login/2fa",
+        token: "POST /api/auth/token",
+        tokenTwoFactor: "POST /api/auth/token/2fa",
+        refreshToken: "POST /api/auth/token/refresh",
+        revokeToken: "POST /api/auth/token/revoke",
+        apiTokens: "GET, POST, DELETE /api/auth/api-tokens",
+        twoFactor: "GET /api/auth/2fa",
+        twoFactorSetup:
+          "POST /api/auth/2fa/setup, /api/auth/2fa/enable, /api/auth/2fa/disable",
+        recoveryCodes: "POST /api/auth/2fa/recovery-codes",
+        oidcLogin: "GET /api/auth/oidc/login",
+        oidcCallback: "GET /api/auth/oidc/callback",
+        identities: "GET /api/auth/identities",
+        unlinkIdentity: "DELETE /api/auth/identities/:id",
+        sessions: "GET, DELETE /api/auth/sessions",
+        revokeSession: "DELETE /api/auth/sessions/:id",
+        verifyEmail: "POST /api/auth/verify-email",
+        resendVerification: "POST /api/auth/resend-verification",
+        forgotPassword: "POST /api/auth/forgot-password",
+        resetPassword: "POST /api/auth/reset-password",
       },
       admin: {
         categories: "GET, POST, PUT, DELETE /api/admin/categories",
         propertyTypes: "GET, POST, PUT, DELETE /api/admin/property-types",
         amenities: "GET, POST, PUT, DELETE /api/admin/amenities",
         locationFeatures: "GET, POST, PUT, DELETE /api/admin/location-features",
-        users: "GET /api/admin/users",
+        users: "GET, POST /api/admin/users",
         updateUserRole: "PUT /api/admin/users/:id/role",
+        unlockUser: "POST /api/admin/users/:id/unlock",
+        settings: "GET /api/admin/settings",
+        twoFactorRequirement: "PUT /api/admin/settings/two-factor",
+        fees: "PUT /api/admin/settings/fees",
+        payoutSettings: "PUT /api/admin/settings/payouts",
+        payouts: "GET /api/admin/payouts",
+        depositClaims:
+          "GET /api/admin/deposit-claims, PUT /api/admin/deposit-claims/:id/resolve",
+        hostApplications: "GET /api/admin/host-applications",
+        reviewHostApplication:
+          "PUT /api/admin/host-applications/:id/approve, /api/admin/host-applications/:id/reject",
+        jobs: "GET /api/admin/jobs, GET /api/admin/jobs/:name/runs, POST /api/admin/jobs/:name/run",
+        refunds: "GET /api/admin/refunds",
+        bookingRefunds: "GET, POST /api/admin/bookings/:id/refunds",
       },
       host: {
         properties: "GET, POST, PUT, DELETE /api/host/properties",
         propertyImages: "POST, DELETE /api/host/properties/:id/images",
+        calendarBlocks:
+          "GET, POST, DELETE /api/host/properties/:id/calendar-blocks",
+        calendarSync:
+          "GET /api/host/properties/:id/ical, POST /api/host/properties/:id/ical/token, POST, DELETE /api/host/properties/:id/ical/feeds",
         bookings: "GET /api/host/bookings",
         updateBookingStatus: "PUT /api/host/bookings/:id/status",
+        depositClaims: "POST /api/host/bookings/:id/deposit-claims",
+        payoutMethods:
+          "GET, POST, DELETE /api/host/payout-methods, PUT /api/host/payout-methods/:id/default",
+        payouts: "GET /api/host/payouts",
+        statements: "GET /api/host/statements, /api/host/statements/:month",
+        dashboard: "GET /api/host/dashboard",
       },
       guest: {
         properties: "GET /api/guest/properties",
         propertyDetails: "GET /api/guest/properties/:slug",
         propertyAvailability: "GET /api/guest/properties/:id/availability",
+        propertyQuote: "GET /api/guest/properties/:id/quote",
+        propertyCalendar: "GET /api/guest/properties/:id/calendar",
+        calendarExport: "GET /api/guest/ical/:token.ics",
         bookings: "GET, POST /api/guest/bookings",
         cancelBooking: "PUT /api/guest/bookings/:id/cancel",
+        depositClaims: "PUT /api/guest/bookings/:id/deposit-claims/:claimId",
         reviews: "POST /api/guest/reviews",
         wishlists: "GET, POST, PUT, DELETE /api/guest/wishlists",
+        hostApplication: "GET, POST /api/guest/host-application",
+      },
+      payments: {
+        createIntent: "POST /api/payments/bookings/:id/intent",
+        bookingPayments: "GET /api/payments/bookings/:id/payments",
+        webhook: "POST /api/payments/webhooks/:provider",
+        mockCheckout: "POST /api/payments/mock/:providerRef/checkout",
       },
     },
     status: "API is running",
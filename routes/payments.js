@@ -0,0 +1,190 @@
+const express = require("express");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const auth = require("./auth");
+const { bookingActor } = require("../utils/bookingStatus");
+const {
+  PaymentError,
+  createPaymentIntent,
+  handleWebhook,
+} = require("../utils/payments");
+const { getProvider } = require("../utils/paymentProviders");
+const { refundSummary, refundsInclude } = require("../utils/refunds");
+const { DepositError, evidenceFile } = require("../utils/deposits");
+
+const router = express.Router();
+
+// Start paying for a booking. The client completes the payment with the
+// provider using the returned clientSecret.
+router.post("/bookings/:id/intent", auth.isAuthenticated, async (req, res) => {
+  try {
+    const intent = await createPaymentIntent(parseInt(req.params.id), req.user);
+
+    res.status(201).json({
+      id: intent.id,
+      provider: intent.provider,
+      providerRef: intent.providerRef,
+      clientSecret: intent.clientSecret,
+      amount: intent.amount,
+      currency: intent.currency,
+      status: intent.status,
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error creating payment intent:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Payments made for a booking, for its guest, host or an admin
+router.get("/bookings/:id/payments", auth.isAuthenticated, async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        ...refundsInclude,
+        property: { select: { hostId: true } },
+        paymentIntents: {
+          select: {
+            id: true,
+            provider: true,
+            providerRef: true,
+            amount: true,
+            refundedAmount: true,
+            currency: true,
+            status: true,
+            lastError: true,
+            createdAt: true,
+            updatedAt: true,
+          },
+          orderBy: { createdAt: "desc" },
+        },
+      },
+    });
+
+    if (!booking) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+
+    if (!bookingActor(booking, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to view this booking" });
+    }
+
+    res.json({
+      paymentStatus: booking.paymentStatus,
+      payments: booking.paymentIntents,
+      refunds: booking.refunds,
+      summary: refundSummary(booking),
+    });
+  } catch (error) {
+    console.error("Error fetching payments:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Evidence file of a deposit claim, for the booking's guest, host or an
+// admin. `index` is the file's position in the claim's evidence list.
+router.get(
+  "/deposit-claims/:id/evidence/:index",
+  auth.isAuthenticated,
+  async (req, res) => {
+    try {
+      const file = await evidenceFile(
+        parseInt(req.params.id),
+        parseInt(req.params.index),
+        req.user,
+      );
+
+      res.sendFile(file, (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ message: "Evidence file not found" });
+        }
+      });
+    } catch (error) {
+      if (error instanceof DepositError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error fetching claim evidence:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+// Provider webhooks. Authenticated by their signature over the raw body,
+// which app.js keeps for this path.
+router.post("/webhooks/:provider", async (req, res) => {
+  try {
+    const { duplicate } = await handleWebhook(
+      req.params.provider,
+      req.rawBody,
+      req.headers,
+    );
+
+    res.json({ received: true, duplicate });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error("Error handling payment webhook:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Stand-in for the provider's checkout page when using the mock provider:
+// { outcome: "success" } authorizes the payment, anything else declines it.
+// The result arrives through the webhook handler like a real payment.
+router.post(
+  "/mock/:providerRef/checkout",
+  auth.isAuthenticated,
+  async (req, res) => {
+    try {
+      const mock = getProvider("mock");
+      if (!mock) {
+        return res.status(404).json({ message: "Not found" });
+      }
+
+      const intent = await prisma.paymentIntent.findUnique({
+        where: { providerRef: req.params.providerRef },
+        include: { booking: { select: { guestId: true } } },
+      });
+
+      if (!intent || intent.provider !== "mock") {
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      if (intent.booking.guestId !== req.user.id) {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to pay for this booking" });
+      }
+
+      const { rawBody, headers } = mock.simulateCheckout(
+        intent.providerRef,
+        req.body.outcome || "success",
+      );
+      await handleWebhook("mock", rawBody, headers);
+
+      const booking = await prisma.booking.findUnique({
+        where: { id: intent.bookingId },
+      });
+      const payment = await prisma.paymentIntent.findUnique({
+        where: { id: intent.id },
+        select: { id: true, status: true, lastError: true },
+      });
+
+      res.json({ payment, booking });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error("Error simulating checkout:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const prisma = require("./helpers/fakePrisma").install();
+const { collectUserData, deletionBlockers } = require("../utils/accountData");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+const GUEST = { id: 1, email: "guest@example.test" };
+const HOST = { id: 2, email: "host@example.test" };
+
+// A finished stay with a deposit claim in `claimStatus`
+const seedStay = (claimStatus = "RESOLVED") => {
+  prisma.$seed("user", [GUEST, HOST]);
+  const [property] = prisma.$seed("property", {
+    hostId: HOST.id,
+    title: "Test property",
+    isAvailable: false,
+  });
+  const [booking] = prisma.$seed("booking", {
+    propertyId: property.id,
+    guestId: GUEST.id,
+    status: "completed",
+    startDate: inDays(-10),
+    endDate: inDays(-7),
+  });
+  const [intent] = prisma.$seed("paymentIntent", {
+    bookingId: booking.id,
+    status: "SUCCEEDED",
+  });
+  prisma.$seed("refund", {
+    bookingId: booking.id,
+    paymentIntentId: intent.id,
+    amount: 40,
+    type: "DEPOSIT",
+    status: "SUCCEEDED",
+  });
+  const [deposit] = prisma.$seed("securityDeposit", {
+    bookingId: booking.id,
+    amount: 100,
+    status: claimStatus === "RESOLVED" ? "SETTLED" : "CLAIMED",
+  });
+  prisma.$seed("depositClaim", {
+    depositId: deposit.id,
+    hostId: HOST.id,
+    amount: 60,
+    description: "Broken lamp",
+    evidence: ["lamp.jpg"],
+    status: claimStatus,
+  });
+
+  return booking;
+};
+
+describe("deletionBlockers", () => {
+  beforeEach(() => prisma.$reset());
+
+  it("doesn't block once everything is settled", async () => {
+    seedStay();
+
+    assert.deepStrictEqual(await deletionBlockers(GUEST.id), []);
+    assert.deepStrictEqual(await deletionBlockers(HOST.id), []);
+  });
+
+  for (const status of ["OPEN", "DISPUTED"]) {
+    it(`blocks the guest and the host on a claim that is ${status}`, async () => {
+      seedStay(status);
+
+      for (const user of [GUEST, HOST]) {
+        assert.deepStrictEqual(await deletionBlockers(user.id), [
+          "You have 1 security deposit claim(s) that aren't settled yet.",
+        ]);
+      }
+    });
+  }
+
+  it("blocks a host with payouts still to be paid", async () => {
+    const booking = seedStay();
+    prisma.$seed("payout", {
+      hostId: HOST.id,
+      bookingId: booking.id,
+      amount: 291,
+      releaseAt: inDays(1),
+    });
+
+    assert.deepStrictEqual(await deletionBlockers(HOST.id), [
+      "You have 1 payout(s) still to be paid. Wait until they are released.",
+    ]);
+
+    prisma.$rows("payout")[0].status = "RELEASED";
+    assert.deepStrictEqual(await deletionBlockers(HOST.id), []);
+  });
+});
+
+describe("collectUserData", () => {
+  beforeEach(() => prisma.$reset());
+
+  it("includes the guest's refunds and the claims against them", async () => {
+    const booking = seedStay();
+    const data = await collectUserData(GUEST.id);
+
+    assert.deepStrictEqual(
+      data.refunds.map((r) => [r.bookingId, r.type, r.amount]),
+      [[booking.id, "DEPOSIT", 40]],
+    );
+    assert.deepStrictEqual(data.depositClaims.filed, []);
+    assert.deepStrictEqual(
+      data.depositClaims.received.map((c) => [
+        c.deposit.bookingId,
+        c.description,
+        c.status,
+      ]),
+      [[booking.id, "Broken lamp", "RESOLVED"]],
+    );
+    assert.deepStrictEqual(data.calendarBlocks, []);
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const prisma = require("./helpers/fakePrisma").install();
+const {
+  BOOKING_STATUSES,
+  BookingTransitionError,
+  checkTransition,
+  transitionBooking,
+} = require("../utils/bookingStatus");
+
+const HOUR_MS = 1000 * 60 * 60;
+const NOW = new Date("2030-01-10T12:00:00Z");
+const at = (hours) => new Date(NOW.getTime() + hours * HOUR_MS);
+
+const USERS = {
+  guest: { id: 1, role: "GUEST" },
+  host: { id: 2, role: "HOST" },
+  admin: { id: 3, role: "ADMIN" },
+  system: null,
+};
+
+// Every allowed change and who may make it. Anything else is rejected.
+const ALLOWED = {
+  "pending>confirmed": ["host", "admin", "system"],
+  "pending>cancelled": ["guest", "host", "admin", "system"],
+  "pending>expired": ["system"],
+  "confirmed>cancelled": ["guest", "host", "admin"],
+  "confirmed>completed": ["host", "admin", "system"],
+};
+
+// A booking whose dates satisfy the guard of the change, if any
+const booking = (status, toStatus) => {
+  const ended = toStatus === "completed";
+  const pastDeadline = toStatus === "expired";
+
+  return {
+    status,
+    guestId: USERS.guest.id,
+    property: { hostId: USERS.host.id },
+    startDate: ended ? at(-72) : at(48),
+    endDate: ended ? at(-24) : at(96),
+    responseDeadline: pastDeadline ? at(-1) : at(12),
+  };
+};
+
+const rejection = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof BookingTransitionError);
+    return error;
+  }
+  assert.fail("expected the change to be rejected");
+};
+
+describe("checkTransition", () => {
+  for (const from of BOOKING_STATUSES) {
+    for (const to of BOOKING_STATUSES) {
+      const allowed = ALLOWED[`${from}>${to}`] || [];
+
+      for (const [actor, user] of Object.entries(USERS)) {
+        if (allowed.includes(actor)) {
+          it(`lets the ${actor} change ${from} to ${to}`, () => {
+            assert.strictEqual(
+              checkTransition(booking(from, to), to, user, NOW),
+              actor,
+            );
+          });
+        } else {
+          it(`doesn't let the ${actor} change ${from} to ${to}`, () => {
+            const error = rejection(() =>
+              checkTransition(booking(from, to), to, user, NOW),
+            );
+            // Known changes by the wrong actor are forbidden, unknown ones
+            // are bad requests
+            assert.strictEqual(error.status, allowed.length > 0 ? 403 : 400);
+          });
+        }
+      }
+    }
+  }
+
+  it("rejects users unrelated to the booking", () => {
+    const error = rejection(() =>
+      checkTransition(
+        booking("pending", "cancelled"),
+        "cancelled",
+        { id: 99, role: "GUEST" },
+        NOW,
+      ),
+    );
+    assert.strictEqual(error.status, 403);
+  });
+
+  it("treats admins as the guest on their own bookings", () => {
+    const own = { ...booking("pending", "expired"), guestId: USERS.admin.id };
+    assert.strictEqual(
+      checkTransition(own, "cancelled", USERS.admin, NOW),
+      "guest",
+    );
+  });
+
+  describe("guards", () => {
+    const guarded = (status, to, dates, user) =>
+      rejection(() =>
+        checkTransition({ ...booking(status, to), ...dates }, to, user, NOW),
+      );
+
+    it("doesn't confirm a request after its response deadline", () => {
+      const error = guarded(
+        "pending",
+        "confirmed",
+        { responseDeadline: at(-1) },
+        USERS.host,
+      );
+      assert.match(error.message, /response window/);
+      assert.strictEqual(error.status, 400);
+    });
+
+    it("doesn't confirm a booking that has ended", () => {
+      guarded(
+        "pending",
+        "confirmed",
+        { startDate: at(-48), endDate: at(-1), responseDeadline: null },
+        USERS.host,
+      );
+    });
+
+    it("doesn't expire a request before its deadline", () => {
+      guarded("pending", "expired", { responseDeadline: at(1) }, null);
+      guarded("pending", "expired", { responseDeadline: null }, null);
+    });
+
+    it("doesn't cancel a confirmed booking that has ended", () => {
+      guarded("confirmed", "cancelled", { endDate: NOW }, USERS.guest);
+    });
+
+    it("cancels a confirmed booking after check-in until it ends", () => {
+      const b = { ...booking("confirmed", "cancelled"), startDate: at(-1) };
+      assert.strictEqual(
+        checkTransition(b, "cancelled", USERS.guest, NOW),
+        "guest",
+      );
+    });
+
+    it("doesn't complete a booking before it ends", () => {
+      guarded("confirmed", "completed", { endDate: at(1) }, null);
+    });
+
+    it("completes a booking exactly at its end", () => {
+      const b = { ...booking("confirmed", "completed"), endDate: NOW };
+      assert.strictEqual(checkTransition(b, "completed", null, NOW), "system");
+    });
+  });
+});
+
+describe("transitionBooking", () => {
+  const DAY_MS = HOUR_MS * 24;
+  let bookingId;
+
+  beforeEach(() => {
+    prisma.$reset();
+    prisma.$seed("user", [USERS.guest, USERS.host]);
+    const [property] = prisma.$seed("property", { hostId: USERS.host.id });
+    [{ id: bookingId }] = prisma.$seed("booking", {
+      propertyId: property.id,
+      guestId: USERS.guest.id,
+      status: "confirmed",
+      totalPrice: 300,
+      startDate: new Date(Date.now() + 30 * DAY_MS),
+      endDate: new Date(Date.now() + 33 * DAY_MS),
+    });
+  });
+
+  const cancel = () =>
+    transitionBooking(bookingId, "cancelled", { user: USERS.guest });
+
+  it("records the policy's refund when the payment was captured", async () => {
+    prisma.$seed("paymentIntent", { bookingId, status: "SUCCEEDED" });
+
+    const { booking } = await cancel();
+    assert.strictEqual(booking.status, "cancelled");
+    assert.strictEqual(Number(booking.refundAmount), 300);
+  });
+
+  it("records no refund when nothing was captured", async () => {
+    prisma.$seed("paymentIntent", { bookingId, status: "AUTHORIZED" });
+
+    const { booking } = await cancel();
+    assert.strictEqual(booking.status, "cancelled");
+    assert.strictEqual(Number(booking.refundAmount), 0);
+  });
+
+  it("keeps a refund amount the caller passed", async () => {
+    const { booking } = await transitionBooking(bookingId, "cancelled", {
+      user: USERS.guest,
+      data: { refundAmount: 50 },
+    });
+    assert.strictEqual(booking.refundAmount, 50);
+  });
+
+  it("records the change in the status history", async () => {
+    await cancel();
+    const [history] = prisma.$rows("bookingStatusHistory");
+
+    assert.strictEqual(history.fromStatus, "confirmed");
+    assert.strictEqual(history.toStatus, "cancelled");
+    assert.strictEqual(history.changedById, USERS.guest.id);
+  });
+});
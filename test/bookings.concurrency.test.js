@@ -0,0 +1,160 @@
+// Concurrent booking requests for the same dates must not double-book.
+//
+// Runs against a real database, since the guarantee comes from MySQL row
+// locks. Point TEST_DATABASE_URL at a disposable database with the schema
+// applied (`DATABASE_URL=... npx prisma db push`); the test is skipped
+// without it. The app's modules are only loaded when it runs, as they
+// connect to the database (and the session store) when loaded.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const REQUESTS = 10;
+
+describe(
+  "POST /api/guest/bookings",
+  { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL is not set" },
+  () => {
+    let prisma;
+    let sessionStore;
+    const suffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+    let server;
+    let baseUrl;
+    let token;
+    let records = {};
+
+    before(async () => {
+      process.env.DATABASE_URL = TEST_DATABASE_URL;
+      process.env.SESSION_SECRET = process.env.SESSION_SECRET || "test-secret";
+
+      const { PrismaClient } = require("@prisma/client");
+      const passport = require("../config/passport");
+      const auth = require("../routes/auth");
+      const guest = require("../routes/guest");
+      const { createApiToken } = require("../utils/authTokens");
+      ({ sessionStore } = require("../config/session"));
+      prisma = new PrismaClient();
+
+      const host = await prisma.user.create({
+        data: {
+          name: "Test host",
+          email: `host-${suffix}@example.test`,
+          role: "HOST",
+          isVerified: true,
+        },
+      });
+      const guestUser = await prisma.user.create({
+        data: {
+          name: "Test guest",
+          email: `guest-${suffix}@example.test`,
+          isVerified: true,
+        },
+      });
+      const category = await prisma.category.create({
+        data: { name: `Test category ${suffix}`, userId: host.id },
+      });
+      const propertyType = await prisma.propertyType.create({
+        data: { name: `Test type ${suffix}`, userId: host.id },
+      });
+      const property = await prisma.property.create({
+        data: {
+          title: "Test property",
+          slug: `test-property-${suffix}`,
+          description: "Used by the booking concurrency test",
+          price: 100,
+          listingType: "RENT",
+          rentalPeriod: "DAY",
+          address: "1 Test Street",
+          city: "Testville",
+          country: "Testland",
+          hostId: host.id,
+          categoryId: category.id,
+          propertyTypeId: propertyType.id,
+        },
+      });
+      records = { host, guestUser, category, propertyType, property };
+
+      ({ token } = await createApiToken(guestUser.id, {
+        name: "Concurrency test",
+        scopes: ["guest:read", "guest:write"],
+      }));
+
+      const app = express();
+      app.use(express.json());
+      app.use(passport.initialize());
+      app.use(auth.authenticateBearer);
+      app.use("/api/guest", guest);
+
+      await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      if (server) await new Promise((resolve) => server.close(resolve));
+
+      const { host, guestUser, category, propertyType, property } = records;
+      if (property) {
+        await prisma.booking.deleteMany({ where: { propertyId: property.id } });
+        await prisma.property.delete({ where: { id: property.id } });
+      }
+      if (category) {
+        await prisma.category.delete({ where: { id: category.id } });
+      }
+      if (propertyType) {
+        await prisma.propertyType.delete({ where: { id: propertyType.id } });
+      }
+      await prisma.user.deleteMany({
+        where: {
+          id: { in: [host, guestUser].filter(Boolean).map((u) => u.id) },
+        },
+      });
+      await prisma.$disconnect();
+      await sessionStore.close();
+    });
+
+    it("accepts one of several parallel requests for the same dates", async () => {
+      const start = new Date(Date.now() + 30 * DAY_MS);
+      const end = new Date(start.getTime() + 3 * DAY_MS);
+
+      const responses = await Promise.all(
+        Array.from({ length: REQUESTS }, () =>
+          fetch(`${baseUrl}/api/guest/bookings`, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Authorization: `Bearer ${token}`,
+            },
+            body: JSON.stringify({
+              propertyId: records.property.id,
+              startDate: start.toISOString().slice(0, 10),
+              endDate: end.toISOString().slice(0, 10),
+              adults: 1,
+            }),
+          }),
+        ),
+      );
+      const statuses = responses.map((response) => response.status);
+
+      assert.strictEqual(
+        statuses.filter((status) => status === 201).length,
+        1,
+        `expected one booking, got statuses ${statuses}`,
+      );
+      assert.strictEqual(
+        statuses.filter((status) => status === 409).length,
+        REQUESTS - 1,
+        `expected the rest to conflict, got statuses ${statuses}`,
+      );
+
+      const bookings = await prisma.booking.count({
+        where: { propertyId: records.property.id },
+      });
+      assert.strictEqual(bookings, 1);
+    });
+  },
+);
@@ -0,0 +1,98 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const { calculateRefund, describePolicy } = require("../utils/cancellation");
+
+const HOUR_MS = 1000 * 60 * 60;
+const NOW = new Date("2030-01-01T12:00:00Z");
+
+// A booking starting `hoursBefore` hours after NOW under a policy
+const booking = (policy, hoursBefore, totalPrice = 200, tiers) => ({
+  totalPrice,
+  startDate: new Date(NOW.getTime() + hoursBefore * HOUR_MS),
+  cancellationPolicy: describePolicy({
+    cancellationPolicy: policy,
+    cancellationTiers: tiers,
+  }),
+});
+
+const refund = (b, actor = "guest") => {
+  const { refundPercent, refundAmount } = calculateRefund(b, actor, NOW);
+  return [refundPercent, refundAmount.toFixed(2)];
+};
+
+describe("calculateRefund", () => {
+  // [policy, hours before check-in, expected percent]
+  const edges = [
+    ["FLEXIBLE", 24, 100],
+    ["FLEXIBLE", 24 - 1 / 3600, 0],
+    ["MODERATE", 24 * 5, 100],
+    ["MODERATE", 24 * 5 - 1 / 3600, 50],
+    ["MODERATE", 24, 50],
+    ["MODERATE", 24 - 1 / 3600, 0],
+    ["STRICT", 24 * 14, 100],
+    ["STRICT", 24 * 14 - 1 / 3600, 50],
+    ["STRICT", 24 * 7, 50],
+    ["STRICT", 24 * 7 - 1 / 3600, 0],
+    ["NON_REFUNDABLE", 24 * 365, 0],
+  ];
+
+  for (const [policy, hours, percent] of edges) {
+    it(`refunds ${percent}% under ${policy} ${hours.toFixed(4)}h before check-in`, () => {
+      assert.strictEqual(refund(booking(policy, hours))[0], percent);
+    });
+  }
+
+  it("works out the amount from the tier's percentage", () => {
+    assert.deepStrictEqual(refund(booking("MODERATE", 48, 199.99)), [
+      50,
+      "100.00",
+    ]);
+  });
+
+  it("refunds nothing after check-in, even with a 0-hour tier", () => {
+    const tiers = [{ hoursBefore: 0, refundPercent: 100 }];
+
+    assert.deepStrictEqual(refund(booking("CUSTOM", 0, 200, tiers)), [
+      100,
+      "200.00",
+    ]);
+    assert.deepStrictEqual(refund(booking("CUSTOM", -1, 200, tiers)), [
+      0,
+      "0.00",
+    ]);
+    assert.deepStrictEqual(refund(booking("FLEXIBLE", -48)), [0, "0.00"]);
+  });
+
+  it("uses the best matching custom tier whatever their order", () => {
+    const tiers = [
+      { hoursBefore: 24, refundPercent: 25 },
+      { hoursBefore: 72, refundPercent: 75 },
+    ];
+
+    assert.strictEqual(refund(booking("CUSTOM", 72, 200, tiers))[0], 75);
+    assert.strictEqual(refund(booking("CUSTOM", 71, 200, tiers))[0], 25);
+  });
+
+  it("refunds nothing on a zero-price booking", () => {
+    assert.deepStrictEqual(refund(booking("FLEXIBLE", 100, 0)), [100, "0.00"]);
+    assert.deepStrictEqual(refund(booking("FLEXIBLE", 100, 0), "host"), [
+      100,
+      "0.00",
+    ]);
+  });
+
+  it("refunds in full when anyone but the guest cancels", () => {
+    for (const actor of ["host", "admin", "system"]) {
+      assert.deepStrictEqual(refund(booking("NON_REFUNDABLE", -1), actor), [
+        100,
+        "200.00",
+      ]);
+    }
+  });
+
+  it("falls back to the flexible policy without a snapshot", () => {
+    const b = { ...booking("STRICT", 30), cancellationPolicy: null };
+    assert.strictEqual(refund(b)[0], 100);
+  });
+});
@@ -0,0 +1,225 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const prisma = require("./helpers/fakePrisma").install();
+const mockProvider = require("../utils/mockPaymentProvider");
+const {
+  DepositError,
+  fileClaim,
+  respondToClaim,
+  resolveClaim,
+  retryDepositReturns,
+} = require("../utils/deposits");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+const GUEST = { id: 1, role: "GUEST" };
+const HOST = { id: 2, role: "HOST" };
+const ADMIN = { id: 3, role: "ADMIN" };
+
+// A finished stay of 300 with a held deposit of 100
+const seedBooking = (deposit = {}) => {
+  prisma.$seed("user", [GUEST, HOST, ADMIN]);
+  const [property] = prisma.$seed("property", { hostId: HOST.id });
+  const [booking] = prisma.$seed("booking", {
+    propertyId: property.id,
+    guestId: GUEST.id,
+    status: "completed",
+    paymentStatus: "paid",
+    totalPrice: 300,
+    depositAmount: 100,
+    startDate: inDays(-4),
+    endDate: inDays(-1),
+  });
+  prisma.$seed("paymentIntent", {
+    bookingId: booking.id,
+    provider: "mock",
+    providerRef: "mock_pi_1",
+    status: "SUCCEEDED",
+    amount: 400,
+    refundedAmount: 0,
+  });
+  prisma.$seed("securityDeposit", {
+    bookingId: booking.id,
+    amount: 100,
+    status: "HELD",
+    releaseAt: inDays(2),
+    ...deposit,
+  });
+
+  return booking;
+};
+
+const claim = (bookingId, amount = 60) =>
+  fileClaim(bookingId, HOST, {
+    amount,
+    description: "Broken lamp",
+    evidence: ["lamp.jpg"],
+  });
+
+const deposit = () => prisma.$rows("securityDeposit")[0];
+
+// Deposit refunds and deposit claim payouts, as amounts
+const money = () => ({
+  returned: prisma
+    .$rows("refund")
+    .filter((r) => r.type === "DEPOSIT" && r.status === "SUCCEEDED")
+    .map((r) => Number(r.amount)),
+  paidOut: prisma
+    .$rows("payout")
+    .filter((p) => p.type === "DEPOSIT_CLAIM")
+    .map((p) => Number(p.amount)),
+});
+
+describe("deposit claims", () => {
+  beforeEach(() => prisma.$reset());
+
+  describe("fileClaim", () => {
+    it("claims a held deposit for the guest to answer", async () => {
+      const booking = seedBooking();
+      const filed = await claim(booking.id);
+
+      assert.strictEqual(filed.status, "OPEN");
+      assert.strictEqual(Number(filed.amount), 60);
+      assert.strictEqual(deposit().status, "CLAIMED");
+      await assert.rejects(claim(booking.id), /no held deposit/);
+    });
+
+    it("only accepts claims between check-in and the end of the hold", async () => {
+      const booking = seedBooking();
+
+      prisma.$rows("booking")[0].startDate = inDays(1);
+      await assert.rejects(claim(booking.id), /after check-in/);
+
+      prisma.$rows("booking")[0].startDate = inDays(-4);
+      deposit().releaseAt = new Date();
+      await assert.rejects(claim(booking.id), {
+        message: "The deposit hold has ended",
+      });
+      assert.strictEqual(deposit().status, "HELD");
+    });
+
+    it("refuses more than the deposit, or a claim by someone else", async () => {
+      const booking = seedBooking();
+
+      await assert.rejects(claim(booking.id, 100.01), /more than the 100/);
+      await assert.rejects(
+        fileClaim(booking.id, GUEST, {
+          amount: 10,
+          description: "Mine",
+          evidence: ["x.jpg"],
+        }),
+        { status: 403 },
+      );
+    });
+  });
+
+  it("pays the host and returns the rest when the guest accepts", async () => {
+    const booking = seedBooking();
+    const filed = await claim(booking.id);
+
+    const accepted = await respondToClaim(filed.id, GUEST, { accept: true });
+
+    assert.strictEqual(accepted.status, "ACCEPTED");
+    assert.strictEqual(Number(accepted.awardedAmount), 60);
+    assert.strictEqual(deposit().status, "SETTLED");
+    assert.deepStrictEqual(money(), { returned: [40], paidOut: [60] });
+  });
+
+  it("lets an admin resolve a disputed claim", async () => {
+    const booking = seedBooking();
+    const filed = await claim(booking.id);
+
+    await assert.rejects(
+      respondToClaim(filed.id, GUEST, { accept: false }),
+      /explain why/,
+    );
+    const disputed = await respondToClaim(filed.id, GUEST, {
+      accept: false,
+      response: "It was broken already",
+    });
+    assert.strictEqual(disputed.status, "DISPUTED");
+    await assert.rejects(
+      respondToClaim(filed.id, GUEST, { accept: true }),
+      /already been answered/,
+    );
+
+    await assert.rejects(
+      resolveClaim(filed.id, ADMIN, { awardedAmount: 61 }),
+      /more than the host claimed/,
+    );
+    const resolved = await resolveClaim(filed.id, ADMIN, {
+      awardedAmount: 25,
+      note: "Split the difference",
+    });
+
+    assert.strictEqual(resolved.status, "RESOLVED");
+    assert.strictEqual(resolved.resolvedById, ADMIN.id);
+    assert.deepStrictEqual(money(), { returned: [75], paidOut: [25] });
+    await assert.rejects(
+      resolveClaim(filed.id, ADMIN, { awardedAmount: 0 }),
+      /already been settled/,
+    );
+  });
+
+  it("returns the whole deposit when nothing is awarded", async () => {
+    const booking = seedBooking();
+    const filed = await claim(booking.id);
+
+    await resolveClaim(filed.id, ADMIN, { awardedAmount: 0 });
+
+    assert.deepStrictEqual(money(), { returned: [100], paidOut: [] });
+    assert.strictEqual(Number(deposit().withheldAmount), 0);
+  });
+
+  it("returns nothing when the whole deposit is awarded", async () => {
+    const booking = seedBooking();
+    const filed = await claim(booking.id, 100);
+
+    await resolveClaim(filed.id, ADMIN, { awardedAmount: 100 });
+
+    assert.deepStrictEqual(money(), { returned: [], paidOut: [100] });
+    assert.strictEqual(deposit().status, "SETTLED");
+  });
+
+  it("retries returning the rest when the refund fails", async (t) => {
+    const booking = seedBooking();
+    const filed = await claim(booking.id);
+    const refund = t.mock.method(mockProvider, "refund", async () => {
+      throw new Error("Provider unavailable");
+    });
+
+    // The claim stands and the return is left for the scheduler
+    const accepted = await respondToClaim(filed.id, GUEST, { accept: true });
+    assert.strictEqual(accepted.status, "ACCEPTED");
+    assert.strictEqual(
+      deposit().returnError,
+      "The payment provider could not process the refund",
+    );
+    assert.deepStrictEqual(money(), { returned: [], paidOut: [60] });
+
+    // Still failing
+    assert.strictEqual(await retryDepositReturns(), 0);
+    assert.ok(deposit().returnError);
+
+    refund.mock.mockImplementation(async () => ({ refundRef: "mock_re_1" }));
+    assert.strictEqual(await retryDepositReturns(), 1);
+    assert.strictEqual(deposit().returnError, null);
+    assert.strictEqual(Number(deposit().releasedAmount), 40);
+    assert.deepStrictEqual(money(), { returned: [40], paidOut: [60] });
+
+    // Nothing left to retry
+    assert.strictEqual(await retryDepositReturns(), 0);
+  });
+
+  it("only lets the booking's guest answer", async () => {
+    const booking = seedBooking();
+    const filed = await claim(booking.id);
+
+    await assert.rejects(
+      respondToClaim(filed.id, HOST, { accept: true }),
+      (error) => error instanceof DepositError && error.status === 403,
+    );
+  });
+});
@@ -0,0 +1,403 @@
+// In-memory stand-in for PrismaClient, so modules that create their own
+// client can be tested without a database. Call install() before requiring
+// them: every client they create shares the same tables.
+//
+// Supports the parts of the query API the utils use: the usual CRUD
+// methods, where filters with comparison operators, OR/AND/NOT and
+// some/none/every on relations, orderBy, include and select (with the
+// relations listed below), increment/decrement, some schema defaults,
+// unique constraints (P2002) and interactive or array transactions. Row
+// locks are no-ops.
+const prismaClient = require("@prisma/client");
+
+const { Decimal } = prismaClient.Prisma;
+
+// model -> relation -> [target model, local field, target field, many]
+const RELATIONS = {
+  user: {},
+  property: {
+    host: ["user", "hostId", "id", false],
+    bookings: ["booking", "id", "propertyId", true],
+  },
+  booking: {
+    property: ["property", "propertyId", "id", false],
+    guest: ["user", "guestId", "id", false],
+    deposit: ["securityDeposit", "id", "bookingId", false],
+    refunds: ["refund", "id", "bookingId", true],
+    paymentIntents: ["paymentIntent", "id", "bookingId", true],
+    payouts: ["payout", "id", "bookingId", true],
+    statusHistory: ["bookingStatusHistory", "id", "bookingId", true],
+  },
+  paymentIntent: {
+    booking: ["booking", "bookingId", "id", false],
+    refunds: ["refund", "id", "paymentIntentId", true],
+  },
+  refund: {
+    booking: ["booking", "bookingId", "id", false],
+    paymentIntent: ["paymentIntent", "paymentIntentId", "id", false],
+  },
+  payout: {
+    booking: ["booking", "bookingId", "id", false],
+    host: ["user", "hostId", "id", false],
+  },
+  securityDeposit: {
+    booking: ["booking", "bookingId", "id", false],
+    claims: ["depositClaim", "id", "depositId", true],
+  },
+  depositClaim: {
+    deposit: ["securityDeposit", "depositId", "id", false],
+    host: ["user", "hostId", "id", false],
+  },
+};
+
+const UNIQUE = {
+  user: [["email"]],
+  paymentIntent: [["providerRef"]],
+  refund: [["providerRef"]],
+  securityDeposit: [["bookingId"]],
+  payout: [["bookingId", "type"]],
+  webhookEvent: [["provider", "eventId"]],
+  setting: [["key"]],
+  jobLock: [["name"]],
+};
+
+// Schema defaults the utils rely on when creating rows
+const DEFAULTS = {
+  paymentIntent: { status: "REQUIRES_PAYMENT" },
+  payout: { type: "BOOKING", status: "PENDING" },
+  securityDeposit: { status: "HELD" },
+  depositClaim: { status: "OPEN" },
+};
+
+const OPERATORS = [
+  "equals",
+  "in",
+  "notIn",
+  "not",
+  "lt",
+  "lte",
+  "gt",
+  "gte",
+  "contains",
+  "startsWith",
+];
+
+const prismaError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !Decimal.isDecimal(value);
+
+// Comparable form of a stored or queried value
+const norm = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  if (Decimal.isDecimal(value)) return value.toNumber();
+  return value;
+};
+
+const equal = (a, b) => norm(a) === norm(b);
+
+const matchesValue = (actual, condition) => {
+  if (!isPlainObject(condition)) return equal(actual, condition);
+
+  return Object.entries(condition).every(([op, expected]) => {
+    if (expected === undefined) return true;
+    const a = norm(actual);
+    const e = norm(expected);
+    switch (op) {
+      case "equals":
+        return a === e;
+      case "in":
+        return expected.some((value) => equal(actual, value));
+      case "notIn":
+        return !expected.some((value) => equal(actual, value));
+      case "not":
+        return !matchesValue(actual, expected);
+      case "lt":
+        return a !== null && a < e;
+      case "lte":
+        return a !== null && a <= e;
+      case "gt":
+        return a !== null && a > e;
+      case "gte":
+        return a !== null && a >= e;
+      case "contains":
+        return typeof a === "string" && a.includes(e);
+      case "startsWith":
+        return typeof a === "string" && a.startsWith(e);
+      default:
+        throw new Error(`fakePrisma: unsupported operator ${op}`);
+    }
+  });
+};
+
+const createFakePrisma = () => {
+  const tables = {};
+  let nextId = 1;
+
+  const table = (model) => {
+    if (!tables[model]) tables[model] = [];
+    return tables[model];
+  };
+
+  const related = (model, row, relation) => {
+    const [target, local, foreign, many] = RELATIONS[model][relation];
+    const rows = table(target).filter((other) =>
+      equal(other[foreign], row[local]),
+    );
+    return many ? rows : rows[0] || null;
+  };
+
+  const matches = (model, row, where = {}) =>
+    Object.entries(where).every(([key, condition]) => {
+      if (condition === undefined) return true;
+      if (key === "OR") return condition.some((w) => matches(model, row, w));
+      if (key === "AND") {
+        return [].concat(condition).every((w) => matches(model, row, w));
+      }
+      if (key === "NOT") {
+        return ![].concat(condition).some((w) => matches(model, row, w));
+      }
+
+      const relation = RELATIONS[model] && RELATIONS[model][key];
+      if (relation) {
+        const [target, , , many] = relation;
+        const value = related(model, row, key);
+        if (!many) {
+          if (condition === null) return value === null;
+          return value !== null && matches(target, value, condition);
+        }
+        if (condition.some) {
+          return value.some((r) => matches(target, r, condition.some));
+        }
+        if (condition.none) {
+          return !value.some((r) => matches(target, r, condition.none));
+        }
+        if (condition.every) {
+          return value.every((r) => matches(target, r, condition.every));
+        }
+        return true;
+      }
+
+      // Compound unique key, e.g. { bookingId_type: { bookingId, type } }
+      if (
+        isPlainObject(condition) &&
+        !Object.keys(condition).some((k) => OPERATORS.includes(k))
+      ) {
+        return matches(model, row, condition);
+      }
+
+      return matchesValue(row[key], condition);
+    });
+
+  const sortRows = (rows, orderBy) => {
+    if (!orderBy) return rows;
+    const orders = [].concat(orderBy);
+    return [...rows].sort((a, b) => {
+      for (const order of orders) {
+        const [field, direction] = Object.entries(order)[0];
+        const x = norm(a[field]);
+        const y = norm(b[field]);
+        if (x === y) continue;
+        const result = x === null ? -1 : y === null ? 1 : x < y ? -1 : 1;
+        return direction === "desc" ? -result : result;
+      }
+      return 0;
+    });
+  };
+
+  // Apply include/select to a row, returning a copy
+  const shape = (model, row, { include, select } = {}) => {
+    if (!row) return null;
+
+    let result;
+    if (select) {
+      result = {};
+      for (const [key, value] of Object.entries(select)) {
+        if (!value) continue;
+        if (RELATIONS[model] && RELATIONS[model][key]) {
+          result[key] = relatedShape(model, row, key, value);
+        } else {
+          result[key] = row[key];
+        }
+      }
+    } else {
+      result = { ...row };
+    }
+
+    for (const [key, value] of Object.entries(include || {})) {
+      if (value) result[key] = relatedShape(model, row, key, value);
+    }
+
+    return result;
+  };
+
+  const relatedShape = (model, row, relation, options) => {
+    const [target, , , many] = RELATIONS[model][relation];
+    const nested = options === true ? {} : options;
+    const value = related(model, row, relation);
+
+    if (!many) return shape(target, value, nested);
+
+    let rows = value.filter((r) => matches(target, r, nested.where));
+    rows = sortRows(rows, nested.orderBy);
+    if (nested.take !== undefined) rows = rows.slice(0, nested.take);
+    return rows.map((r) => shape(target, r, nested));
+  };
+
+  const applyData = (row, data) => {
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      if (isPlainObject(value) && "increment" in value) {
+        row[key] = new Decimal(row[key] || 0).add(value.increment).toNumber();
+      } else if (isPlainObject(value) && "decrement" in value) {
+        row[key] = new Decimal(row[key] || 0).sub(value.decrement).toNumber();
+      } else if (isPlainObject(value) && "set" in value) {
+        row[key] = value.set;
+      } else {
+        row[key] = value;
+      }
+    }
+    row.updatedAt = new Date();
+    return row;
+  };
+
+  const checkUnique = (model, row) => {
+    for (const fields of UNIQUE[model] || []) {
+      if (
+        fields.some((field) => row[field] === null || row[field] === undefined)
+      ) {
+        continue;
+      }
+      const clash = table(model).some(
+        (other) =>
+          other !== row &&
+          fields.every((field) => equal(other[field], row[field])),
+      );
+      if (clash) {
+        throw prismaError(
+          "P2002",
+          `Unique constraint failed on ${model}.${fields.join("_")}`,
+        );
+      }
+    }
+  };
+
+  const insert = (model, data) => {
+    const now = new Date();
+    const row = { id: nextId++, createdAt: now, updatedAt: now };
+    applyData(row, { ...DEFAULTS[model], ...data });
+    checkUnique(model, row);
+    table(model).push(row);
+    return row;
+  };
+
+  const findRows = (model, { where, orderBy, take } = {}) => {
+    let rows = sortRows(
+      table(model).filter((row) => matches(model, row, where)),
+      orderBy,
+    );
+    if (take !== undefined) rows = rows.slice(0, take);
+    return rows;
+  };
+
+  const updateRow = (model, row, data) => {
+    const before = { ...row };
+    applyData(row, data);
+    try {
+      checkUnique(model, row);
+    } catch (error) {
+      Object.assign(row, before);
+      throw error;
+    }
+    return row;
+  };
+
+  const delegate = (model) => ({
+    findUnique: async (args) => shape(model, findRows(model, args)[0], args),
+    findFirst: async (args = {}) =>
+      shape(model, findRows(model, args)[0], args),
+    findMany: async (args = {}) =>
+      findRows(model, args).map((row) => shape(model, row, args)),
+    count: async (args = {}) => findRows(model, args).length,
+    create: async (args) => shape(model, insert(model, args.data), args),
+    createMany: async ({ data }) => {
+      data.forEach((row) => insert(model, row));
+      return { count: data.length };
+    },
+    update: async (args) => {
+      const row = findRows(model, args)[0];
+      if (!row) throw prismaError("P2025", `No ${model} found to update`);
+      return shape(model, updateRow(model, row, args.data), args);
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = findRows(model, { where });
+      rows.forEach((row) => updateRow(model, row, data));
+      return { count: rows.length };
+    },
+    upsert: async (args) => {
+      const row = findRows(model, args)[0];
+      if (row) return shape(model, updateRow(model, row, args.update), args);
+      return shape(model, insert(model, args.create), args);
+    },
+    delete: async (args) => {
+      const row = findRows(model, args)[0];
+      if (!row) throw prismaError("P2025", `No ${model} found to delete`);
+      tables[model] = table(model).filter((other) => other !== row);
+      return row;
+    },
+    deleteMany: async ({ where } = {}) => {
+      const rows = findRows(model, { where });
+      tables[model] = table(model).filter((row) => !rows.includes(row));
+      return { count: rows.length };
+    },
+  });
+
+  const delegates = {};
+  const client = new Proxy(
+    {
+      $transaction: async (arg) =>
+        typeof arg === "function" ? arg(client) : Promise.all(arg),
+      $queryRaw: async () => [],
+      $executeRaw: async () => 0,
+      $connect: async () => {},
+      $disconnect: async () => {},
+      // Test helpers
+      $seed: (model, rows) =>
+        [].concat(rows).map((row) => {
+          const created = insert(model, row);
+          return { ...created };
+        }),
+      $rows: (model) => table(model),
+      $reset: () => {
+        Object.keys(tables).forEach((model) => delete tables[model]);
+        nextId = 1;
+      },
+    },
+    {
+      get: (target, key) => {
+        if (key in target || typeof key !== "string") return target[key];
+        if (!delegates[key]) delegates[key] = delegate(key);
+        return delegates[key];
+      },
+    },
+  );
+
+  return client;
+};
+
+// Make `new PrismaClient()` return the shared fake. Returns the fake.
+const install = () => {
+  const fake = createFakePrisma();
+  prismaClient.PrismaClient = function PrismaClient() {
+    return fake;
+  };
+  return fake;
+};
+
+module.exports = { install, createFakePrisma };
@@ -0,0 +1,242 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const dns = require("dns");
+const http = require("http");
+
+require("./helpers/fakePrisma").install();
+const {
+  parseIcs,
+  foldLine,
+  isBlockedAddress,
+  safeLookup,
+  fetchIcs,
+} = require("../utils/ical");
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+describe("parseIcs", () => {
+  const calendar = (...events) =>
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      ...events.flatMap((e) => ["BEGIN:VEVENT", ...e, "END:VEVENT"]),
+      "END:VCALENDAR",
+    ].join("\r\n");
+
+  it("reads all-day events as whole days", () => {
+    const events = parseIcs(
+      calendar([
+        "UID:one@example.test",
+        "SUMMARY:Booked\\, thanks",
+        "DTSTART;VALUE=DATE:20300105",
+        "DTEND;VALUE=DATE:20300108",
+      ]),
+    );
+
+    assert.deepStrictEqual(events, [
+      {
+        uid: "one@example.test",
+        summary: "Booked, thanks",
+        start: day("2030-01-05"),
+        end: day("2030-01-08"),
+      },
+    ]);
+  });
+
+  it("widens timed events to the days they touch", () => {
+    const [event] = parseIcs(
+      calendar(["DTSTART:20300105T150000Z", "DTEND:20300107T110000Z"]),
+    );
+
+    assert.deepStrictEqual(event.start, day("2030-01-05"));
+    assert.deepStrictEqual(event.end, day("2030-01-08"));
+  });
+
+  it("treats an event without an end as a single day", () => {
+    const [event] = parseIcs(calendar(["DTSTART;VALUE=DATE:20300105"]));
+    assert.deepStrictEqual(event.end, day("2030-01-06"));
+  });
+
+  it("skips cancelled events and events without a start", () => {
+    const events = parseIcs(
+      calendar(
+        ["DTSTART:20300105", "STATUS:CANCELLED"],
+        ["SUMMARY:No dates"],
+        ["DTSTART:not-a-date"],
+      ),
+    );
+    assert.deepStrictEqual(events, []);
+  });
+
+  it("unfolds continuation lines", () => {
+    const text = calendar([
+      "DTSTART:20300105",
+      "SUMMARY:A long",
+      "  summary",
+    ]).replace(/\r\n/g, "\n");
+
+    assert.strictEqual(parseIcs(text)[0].summary, "A long summary");
+  });
+});
+
+describe("foldLine", () => {
+  it("leaves lines of up to 75 octets alone", () => {
+    const line = "x".repeat(75);
+    assert.strictEqual(foldLine(line), line);
+  });
+
+  it("folds longer lines onto continuation lines", () => {
+    const folded = foldLine("x".repeat(160));
+    const lines = folded.split("\r\n");
+
+    assert.deepStrictEqual(
+      lines.map((l) => l.length),
+      [75, 75, 12],
+    );
+    assert.ok(lines.slice(1).every((l) => l.startsWith(" ")));
+  });
+
+  it("doesn't split multi-byte characters", () => {
+    const line = `SUMMARY:${"é".repeat(60)}`;
+    const lines = foldLine(line).split("\r\n");
+
+    assert.ok(lines.every((l) => Buffer.byteLength(l) <= 75));
+    assert.ok(!lines.join("").includes("�"));
+    assert.strictEqual(
+      parseIcs(
+        `BEGIN:VEVENT\r\nDTSTART:20300105\r\n${lines.join("\r\n")}\r\nEND:VEVENT`,
+      )[0].summary,
+      line.slice(8),
+    );
+  });
+});
+
+describe("isBlockedAddress", () => {
+  const blocked = [
+    "0.0.0.0",
+    "10.1.2.3",
+    "100.64.0.1",
+    "127.0.0.1",
+    "169.254.169.254",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.1",
+    "224.0.0.1",
+    "255.255.255.255",
+    "::",
+    "::1",
+    "fc00::1",
+    "fd12:3456::1",
+    "fe80::1",
+    "ff02::1",
+    "::ffff:127.0.0.1",
+    "::ffff:10.0.0.1",
+  ];
+  const allowed = [
+    "8.8.8.8",
+    "100.63.255.255",
+    "172.15.255.255",
+    "172.32.0.1",
+    "192.169.0.1",
+    "2001:4860:4860::8888",
+    "::ffff:8.8.8.8",
+  ];
+
+  for (const address of blocked) {
+    it(`blocks ${address}`, () => {
+      assert.strictEqual(isBlockedAddress(address), true);
+    });
+  }
+
+  for (const address of allowed) {
+    it(`allows ${address}`, () => {
+      assert.strictEqual(isBlockedAddress(address), false);
+    });
+  }
+});
+
+describe("safeLookup", () => {
+  const lookup = (hostname, options) =>
+    new Promise((resolve, reject) =>
+      safeLookup(hostname, options, (error, address, family) =>
+        error ? reject(error) : resolve({ address, family }),
+      ),
+    );
+
+  it("passes public addresses through", async (t) => {
+    t.mock.method(dns, "lookup", (hostname, options, callback) =>
+      callback(null, "93.184.216.34", 4),
+    );
+
+    assert.deepStrictEqual(await lookup("feed.example.test", {}), {
+      address: "93.184.216.34",
+      family: 4,
+    });
+  });
+
+  it("refuses a private address", async (t) => {
+    t.mock.method(dns, "lookup", (hostname, options, callback) =>
+      callback(null, "10.0.0.5", 4),
+    );
+
+    await assert.rejects(lookup("feed.example.test", {}), /private address/);
+  });
+
+  it("refuses a host with any private address", async (t) => {
+    t.mock.method(dns, "lookup", (hostname, options, callback) =>
+      callback(null, [
+        { address: "93.184.216.34", family: 4 },
+        { address: "::1", family: 6 },
+      ]),
+    );
+
+    await assert.rejects(
+      lookup("feed.example.test", { all: true }),
+      /private address/,
+    );
+  });
+});
+
+describe("fetchIcs", () => {
+  let server;
+  let port;
+  let requests = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests++;
+      res.end("BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    ({ port } = server.address());
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("refuses to connect to private addresses", async () => {
+    await assert.rejects(fetchIcs(`http://127.0.0.1:${port}/`), /private/);
+    await assert.rejects(fetchIcs(`http://[::1]:${port}/`), /private/);
+    await assert.rejects(fetchIcs(`http://localhost:${port}/`), /private/);
+    assert.strictEqual(requests, 0);
+  });
+
+  it("checks the address the connection resolves a name to", async (t) => {
+    let lookups = 0;
+    t.mock.method(dns, "lookup", (hostname, options, callback) => {
+      lookups++;
+      callback(null, [{ address: "127.0.0.1", family: 4 }]);
+    });
+
+    await assert.rejects(
+      fetchIcs(`http://feed.example.test:${port}/`),
+      /private/,
+    );
+    // Resolved once, by the connection itself
+    assert.strictEqual(lookups, 1);
+    assert.strictEqual(requests, 0);
+  });
+
+  it("refuses other protocols", async () => {
+    await assert.rejects(fetchIcs("ftp://example.test/feed.ics"), /protocol/);
+  });
+});
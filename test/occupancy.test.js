@@ -0,0 +1,177 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const {
+  validateCapacityFields,
+  pickCapacityFields,
+  parseOccupancy,
+  checkOccupancy,
+  capacityFilters,
+} = require("../utils/occupancy");
+
+describe("parseOccupancy", () => {
+  it("adds adults and children up to the guest count", () => {
+    assert.deepStrictEqual(
+      parseOccupancy({ adults: "2", children: 1, infants: 1, pets: 1 }),
+      {
+        occupancy: {
+          guestCount: 3,
+          adults: 2,
+          children: 1,
+          infants: 1,
+          pets: 1,
+        },
+      },
+    );
+  });
+
+  it("counts every guest as an adult without a breakdown", () => {
+    assert.deepStrictEqual(parseOccupancy({ guestCount: 4 }), {
+      occupancy: { guestCount: 4, adults: 4, children: 0, infants: 0, pets: 0 },
+    });
+  });
+
+  it("accepts a guest count that matches the breakdown", () => {
+    const { occupancy } = parseOccupancy({
+      guestCount: 3,
+      adults: 1,
+      children: 2,
+    });
+    assert.strictEqual(occupancy.guestCount, 3);
+  });
+
+  const invalid = [
+    [{ guestCount: 3, adults: 1, children: 1 }, /adults plus children/],
+    [{ adults: 0, children: 2 }, /At least one adult/],
+    [{ adults: 0 }, /Guest count must be a positive number/],
+    [{}, /Guest count must be a positive number/],
+    [{ guestCount: 1.5 }, /Guest count must be a positive number/],
+    [{ adults: 1, children: -1 }, /whole numbers of 0 or more/],
+    [{ adults: 1.5 }, /whole numbers of 0 or more/],
+    [{ guestCount: 2, pets: "two" }, /whole numbers of 0 or more/],
+  ];
+
+  for (const [input, message] of invalid) {
+    it(`refuses ${JSON.stringify(input)}`, () => {
+      assert.match(parseOccupancy(input).error, message);
+    });
+  }
+});
+
+describe("checkOccupancy", () => {
+  const occupancy = (fields = {}) => ({
+    guestCount: 3,
+    adults: 2,
+    children: 1,
+    infants: 1,
+    pets: 0,
+    ...fields,
+  });
+
+  it("allows anything without limits", () => {
+    assert.strictEqual(checkOccupancy({}, occupancy({ guestCount: 99 })), null);
+  });
+
+  it("allows guests up to each limit", () => {
+    const property = {
+      maxGuests: 3,
+      maxAdults: 2,
+      maxChildren: 1,
+      maxInfants: 1,
+    };
+    assert.strictEqual(checkOccupancy(property, occupancy()), null);
+  });
+
+  const limits = [
+    [{ maxGuests: 2 }, "at most 2 guests"],
+    [{ maxAdults: 1 }, "at most 1 adults"],
+    [{ maxChildren: 0 }, "at most 0 children"],
+    [{ maxInfants: 0 }, "at most 0 infants"],
+  ];
+
+  for (const [property, message] of limits) {
+    it(`refuses more than ${JSON.stringify(property)}`, () => {
+      assert.match(checkOccupancy(property, occupancy()), new RegExp(message));
+    });
+  }
+
+  it("only allows pets where the property allows them", () => {
+    assert.strictEqual(
+      checkOccupancy({}, occupancy({ pets: 1 })),
+      "Pets are not allowed at this property",
+    );
+    assert.strictEqual(
+      checkOccupancy({ petsAllowed: true }, occupancy({ pets: 2 })),
+      null,
+    );
+  });
+});
+
+describe("capacityFilters", () => {
+  const atLeast = (field, value) => ({
+    OR: [{ [field]: null }, { [field]: { gte: value } }],
+  });
+
+  it("filters on each count, keeping properties without a limit", () => {
+    assert.deepStrictEqual(
+      capacityFilters({
+        guests: "4",
+        children: "2",
+        infants: "1",
+        pets: "true",
+      }),
+      [
+        atLeast("maxGuests", 4),
+        atLeast("maxChildren", 2),
+        atLeast("maxInfants", 1),
+        { petsAllowed: true },
+      ],
+    );
+  });
+
+  it("ignores counts that aren't positive whole numbers", () => {
+    for (const guests of [undefined, "", "0", "-1", "2.5", "abc", "3 OR 1=1"]) {
+      assert.deepStrictEqual(capacityFilters({ guests }), [], guests);
+    }
+  });
+
+  it("ignores pets unless asked for", () => {
+    assert.deepStrictEqual(capacityFilters({ pets: "false" }), []);
+  });
+});
+
+describe("capacity fields", () => {
+  it("accepts limits at their minimum and blank limits", () => {
+    assert.strictEqual(
+      validateCapacityFields({
+        maxGuests: 1,
+        maxAdults: "1",
+        maxChildren: 0,
+        maxInfants: "",
+        petsAllowed: false,
+      }),
+      null,
+    );
+  });
+
+  it("refuses limits below their minimum or not whole numbers", () => {
+    assert.match(validateCapacityFields({ maxGuests: 0 }), /maxGuests/);
+    assert.match(validateCapacityFields({ maxChildren: -1 }), /maxChildren/);
+    assert.match(validateCapacityFields({ maxAdults: 1.5 }), /maxAdults/);
+    assert.match(
+      validateCapacityFields({ petsAllowed: "yes" }),
+      /petsAllowed must be a boolean/,
+    );
+  });
+
+  it("picks only the fields present, removing blank limits", () => {
+    assert.deepStrictEqual(
+      pickCapacityFields({
+        maxGuests: "4",
+        maxChildren: "",
+        petsAllowed: true,
+      }),
+      { maxGuests: 4, maxChildren: null, petsAllowed: true },
+    );
+  });
+});
@@ -0,0 +1,222 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = "test-webhook-secret";
+const prisma = require("./helpers/fakePrisma").install();
+const mockProvider = require("../utils/mockPaymentProvider");
+const {
+  handleWebhook,
+  settlePayment,
+  retryUnsettledPayments,
+} = require("../utils/payments");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+// A pending booking of a property with its payment waiting for the guest
+const seedBooking = ({ bookingMode = "INSTANT", ...fields } = {}) => {
+  const [host, guest] = prisma.$seed("user", [
+    { role: "HOST" },
+    { role: "GUEST" },
+  ]);
+  const [property] = prisma.$seed("property", {
+    hostId: host.id,
+    title: "Test property",
+    bookingMode,
+  });
+  const [booking] = prisma.$seed("booking", {
+    propertyId: property.id,
+    guestId: guest.id,
+    status: "pending",
+    paymentStatus: "unpaid",
+    totalPrice: 300,
+    depositAmount: 0,
+    startDate: inDays(30),
+    endDate: inDays(33),
+    responseDeadline: inDays(1),
+    ...fields,
+  });
+  const [intent] = prisma.$seed("paymentIntent", {
+    bookingId: booking.id,
+    provider: "mock",
+    providerRef: `mock_pi_${booking.id}`,
+    status: "REQUIRES_PAYMENT",
+    amount: 300,
+    currency: "usd",
+    refundedAmount: 0,
+  });
+
+  return { booking, intent };
+};
+
+const row = (model, id) => prisma.$rows(model).find((r) => r.id === id);
+
+describe("handleWebhook", () => {
+  beforeEach(() => prisma.$reset());
+
+  describe("payment.authorized with Instant Book", () => {
+    it("confirms the booking by capturing the payment", async () => {
+      const { booking, intent } = seedBooking();
+      const { rawBody, headers } = mockProvider.simulateCheckout(
+        intent.providerRef,
+        "success",
+      );
+
+      await handleWebhook("mock", rawBody, headers);
+
+      assert.strictEqual(row("paymentIntent", intent.id).status, "SUCCEEDED");
+      assert.strictEqual(row("booking", booking.id).status, "confirmed");
+      assert.strictEqual(row("booking", booking.id).paymentStatus, "paid");
+    });
+
+    it("retries a failed capture when the event is redelivered", async (t) => {
+      const { booking, intent } = seedBooking();
+      const { rawBody, headers } = mockProvider.simulateCheckout(
+        intent.providerRef,
+        "success",
+      );
+
+      const capture = t.mock.method(mockProvider, "capture", async () => {
+        throw new Error("Provider unavailable");
+      });
+      await assert.rejects(
+        handleWebhook("mock", rawBody, headers),
+        /Provider unavailable/,
+      );
+
+      // Authorized but not captured, and the event is forgotten
+      assert.strictEqual(row("paymentIntent", intent.id).status, "AUTHORIZED");
+      assert.strictEqual(row("booking", booking.id).status, "pending");
+      assert.strictEqual(prisma.$rows("webhookEvent").length, 0);
+
+      capture.mock.mockImplementation(async () => ({ status: "succeeded" }));
+      assert.deepStrictEqual(await handleWebhook("mock", rawBody, headers), {
+        duplicate: false,
+      });
+
+      assert.strictEqual(capture.mock.callCount(), 2);
+      assert.strictEqual(row("paymentIntent", intent.id).status, "SUCCEEDED");
+      assert.strictEqual(row("booking", booking.id).status, "confirmed");
+      assert.strictEqual(row("booking", booking.id).paymentStatus, "paid");
+    });
+
+    it("doesn't capture a declined payment again", async (t) => {
+      const { booking, intent } = seedBooking();
+      const { rawBody, headers } = mockProvider.simulateCheckout(
+        intent.providerRef,
+        "success",
+      );
+
+      const capture = t.mock.method(mockProvider, "capture", async () => ({
+        status: "failed",
+        error: "Your card was declined",
+      }));
+      await assert.rejects(handleWebhook("mock", rawBody, headers));
+      await handleWebhook("mock", rawBody, headers);
+
+      assert.strictEqual(capture.mock.callCount(), 1);
+      assert.strictEqual(row("paymentIntent", intent.id).status, "FAILED");
+      assert.strictEqual(row("booking", booking.id).paymentStatus, "unpaid");
+    });
+  });
+
+  it("leaves request-to-book payments authorized for the host", async (t) => {
+    const { booking, intent } = seedBooking({ bookingMode: "REQUEST" });
+    const capture = t.mock.method(mockProvider, "capture");
+    const { rawBody, headers } = mockProvider.simulateCheckout(
+      intent.providerRef,
+      "success",
+    );
+
+    await handleWebhook("mock", rawBody, headers);
+    await handleWebhook("mock", rawBody, headers);
+
+    assert.strictEqual(capture.mock.callCount(), 0);
+    assert.strictEqual(row("paymentIntent", intent.id).status, "AUTHORIZED");
+    assert.strictEqual(row("booking", booking.id).paymentStatus, "authorized");
+  });
+});
+
+describe("retryUnsettledPayments", () => {
+  beforeEach(() => prisma.$reset());
+
+  // A cancelled or expired booking whose payment wasn't settled
+  const seedUnsettled = (status, intentStatus, fields = {}) => {
+    const { booking, intent } = seedBooking({ status, ...fields });
+    row("paymentIntent", intent.id).status = intentStatus;
+    return { booking, intent };
+  };
+
+  const refunds = () =>
+    prisma
+      .$rows("refund")
+      .map((r) => [r.type, r.status, Number(r.amount).toFixed(2)]);
+
+  it("voids an authorization the provider failed to cancel", async (t) => {
+    const { intent } = seedUnsettled("cancelled", "AUTHORIZED");
+    const cancel = t.mock.method(mockProvider, "cancel", async () => {
+      throw new Error("Provider unavailable");
+    });
+
+    assert.strictEqual(await settlePayment(intent.bookingId), false);
+    assert.strictEqual(
+      row("paymentIntent", intent.id).lastError,
+      "Provider unavailable",
+    );
+
+    cancel.mock.mockImplementation(async () => {});
+    assert.strictEqual(await retryUnsettledPayments(), 1);
+    assert.strictEqual(row("paymentIntent", intent.id).status, "CANCELLED");
+    assert.strictEqual(row("paymentIntent", intent.id).lastError, null);
+  });
+
+  it("refunds what a cancelled booking is still owed", async (t) => {
+    const { intent } = seedUnsettled("cancelled", "SUCCEEDED", {
+      paymentStatus: "paid",
+      refundAmount: 150,
+    });
+    const refund = t.mock.method(mockProvider, "refund", async () => {
+      throw new Error("Provider unavailable");
+    });
+
+    assert.strictEqual(await settlePayment(intent.bookingId), false);
+    assert.deepStrictEqual(refunds(), [["CANCELLATION", "FAILED", "150.00"]]);
+
+    refund.mock.mockImplementation(async () => ({ refundRef: "mock_re_1" }));
+    assert.strictEqual(await retryUnsettledPayments(), 1);
+    assert.deepStrictEqual(refunds(), [
+      ["CANCELLATION", "FAILED", "150.00"],
+      ["CANCELLATION", "SUCCEEDED", "150.00"],
+    ]);
+    assert.strictEqual(
+      row("booking", intent.bookingId).paymentStatus,
+      "partially_refunded",
+    );
+
+    // Nothing left to do
+    assert.strictEqual(await retryUnsettledPayments(), 0);
+    assert.strictEqual(refund.mock.callCount(), 2);
+  });
+
+  it("refunds expired requests in full", async () => {
+    const { intent } = seedUnsettled("expired", "SUCCEEDED", {
+      paymentStatus: "paid",
+    });
+
+    assert.strictEqual(await retryUnsettledPayments(), 1);
+    assert.deepStrictEqual(refunds(), [["EXPIRY", "SUCCEEDED", "300.00"]]);
+    assert.strictEqual(row("paymentIntent", intent.id).status, "REFUNDED");
+  });
+
+  it("leaves settled and active bookings alone", async (t) => {
+    seedUnsettled("cancelled", "SUCCEEDED", { refundAmount: 0 });
+    seedUnsettled("confirmed", "AUTHORIZED");
+    seedUnsettled("cancelled", "CANCELLED");
+    const refund = t.mock.method(mockProvider, "refund");
+    const cancel = t.mock.method(mockProvider, "cancel");
+
+    assert.strictEqual(await retryUnsettledPayments(), 0);
+    assert.strictEqual(refund.mock.callCount(), 0);
+    assert.strictEqual(cancel.mock.callCount(), 0);
+  });
+});
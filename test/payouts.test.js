@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const prisma = require("./helpers/fakePrisma").install();
+const { schedulePayouts, releasePayouts } = require("../utils/payouts");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+// A paid booking of a host with a payout method
+const seedBooking = (fields = {}) => {
+  const [host] = prisma.$seed("user", { role: "HOST" });
+  prisma.$seed("payoutMethod", {
+    hostId: host.id,
+    method: "bank_transfer",
+    details: {},
+    isDefault: true,
+  });
+  const [property] = prisma.$seed("property", {
+    hostId: host.id,
+    title: "Test property",
+  });
+  const [booking] = prisma.$seed("booking", {
+    propertyId: property.id,
+    status: "confirmed",
+    paymentStatus: "paid",
+    totalPrice: 300,
+    depositAmount: 0,
+    startDate: inDays(-2),
+    endDate: inDays(2),
+    ...fields,
+  });
+  const [intent] = prisma.$seed("paymentIntent", {
+    bookingId: booking.id,
+    status: "SUCCEEDED",
+    amount: 300,
+  });
+
+  return { host, booking, intent };
+};
+
+const seedPayout = ({ host, booking }, fields = {}) =>
+  prisma.$seed("payout", {
+    hostId: host.id,
+    bookingId: booking.id,
+    type: "BOOKING",
+    grossAmount: 300,
+    serviceFee: 0,
+    commissionPercent: 3,
+    commission: 9,
+    amount: 291,
+    status: "PENDING",
+    releaseAt: inDays(-1),
+    ...fields,
+  })[0];
+
+const payout = (id) => prisma.$rows("payout").find((p) => p.id === id);
+
+describe("schedulePayouts", () => {
+  beforeEach(() => prisma.$reset());
+
+  it("releases payouts payoutDelayDays after check-out", async () => {
+    const { booking } = seedBooking({
+      startDate: inDays(10),
+      endDate: inDays(13),
+    });
+
+    assert.strictEqual(await schedulePayouts(), 1);
+
+    const [scheduled] = prisma.$rows("payout");
+    assert.strictEqual(scheduled.bookingId, booking.id);
+    // The default delay is a day
+    assert.strictEqual(
+      scheduled.releaseAt.getTime(),
+      booking.endDate.getTime() + DAY_MS,
+    );
+    assert.strictEqual(scheduled.amount.toFixed(2), "291.00");
+  });
+
+  it("doesn't schedule unpaid bookings or bookings with a payout", async () => {
+    seedBooking({ paymentStatus: "unpaid" });
+    seedPayout(seedBooking());
+
+    assert.strictEqual(await schedulePayouts(), 0);
+  });
+});
+
+describe("releasePayouts", () => {
+  beforeEach(() => prisma.$reset());
+
+  it("releases due payouts of stays that have ended", async () => {
+    const seeded = seedBooking({ startDate: inDays(-5), endDate: inDays(-2) });
+    const { id } = seedPayout(seeded);
+
+    assert.strictEqual(await releasePayouts(), 1);
+    assert.strictEqual(payout(id).status, "RELEASED");
+    assert.strictEqual(
+      payout(id).reference,
+      `PO-${String(id).padStart(8, "0")}`,
+    );
+  });
+
+  it("holds a booking payout until the stay has ended", async () => {
+    // Scheduled from check-in, so due before the booking can't be refunded
+    const seeded = seedBooking();
+    const { id } = seedPayout(seeded);
+
+    assert.strictEqual(await releasePayouts(), 0);
+    assert.strictEqual(payout(id).status, "PENDING");
+
+    prisma.$rows("booking")[0].endDate = inDays(-1 / 24);
+    assert.strictEqual(await releasePayouts(), 1);
+    assert.strictEqual(payout(id).status, "RELEASED");
+  });
+
+  it("takes refunds made before release off the payout", async () => {
+    const seeded = seedBooking();
+    const { id } = seedPayout(seeded);
+
+    // Cancelled during the stay with half refunded
+    prisma.$seed("refund", {
+      bookingId: seeded.booking.id,
+      paymentIntentId: seeded.intent.id,
+      type: "CANCELLATION",
+      status: "SUCCEEDED",
+      amount: 150,
+    });
+    prisma.$rows("booking")[0].endDate = inDays(-1);
+
+    assert.strictEqual(await releasePayouts(), 1);
+    assert.strictEqual(payout(id).amount.toFixed(2), "145.50");
+  });
+
+  it("cancels a payout when everything was refunded", async () => {
+    const seeded = seedBooking({ endDate: inDays(-1) });
+    const { id } = seedPayout(seeded);
+    prisma.$seed("refund", {
+      bookingId: seeded.booking.id,
+      paymentIntentId: seeded.intent.id,
+      type: "CANCELLATION",
+      status: "SUCCEEDED",
+      amount: 300,
+    });
+
+    assert.strictEqual(await releasePayouts(), 0);
+    assert.strictEqual(payout(id).status, "CANCELLED");
+  });
+
+  it("doesn't hold deposit claim payouts for the stay", async () => {
+    const seeded = seedBooking();
+    const { id } = seedPayout(seeded, { type: "DEPOSIT_CLAIM", amount: 50 });
+
+    assert.strictEqual(await releasePayouts(), 1);
+    assert.strictEqual(payout(id).status, "RELEASED");
+  });
+});
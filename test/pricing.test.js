@@ -0,0 +1,233 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+
+process.env.TOKEN_SECRET = "test-token-secret";
+require("./helpers/fakePrisma").install();
+
+// Pricing only reads the service fee setting
+const settings = require("../utils/settings");
+let serviceFeePercent = 0;
+mock.method(settings, "getSetting", async (key) =>
+  key === "guestServiceFeePercent" ? serviceFeePercent : undefined,
+);
+
+const {
+  calculatePrice,
+  signQuote,
+  verifyQuote,
+  PricingError,
+  QUOTE_TTL,
+} = require("../utils/pricing");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// A Monday
+const MONDAY = new Date("2030-01-07T00:00:00Z");
+
+const stay = (startOffset, nights, guestCount = 1) => {
+  const start = new Date(MONDAY.getTime() + startOffset * DAY_MS);
+  return {
+    start,
+    end: new Date(start.getTime() + nights * DAY_MS),
+    guestCount,
+  };
+};
+
+const property = (fields = {}) => ({
+  id: 1,
+  listingType: "RENT",
+  rentalPeriod: "DAY",
+  price: 100,
+  ...fields,
+});
+
+const lineTypes = (price) => price.breakdown.lines.map((line) => line.type);
+
+describe("calculatePrice", () => {
+  beforeEach(() => {
+    serviceFeePercent = 0;
+  });
+
+  it("charges the nightly price for weeknights", async () => {
+    const price = await calculatePrice(property(), stay(0, 3));
+
+    assert.strictEqual(price.total.toFixed(2), "300.00");
+    assert.deepStrictEqual(lineTypes(price), ["nightly"]);
+    assert.strictEqual(price.breakdown.nights, 3);
+  });
+
+  it("charges the weekend price for Friday and Saturday nights", async () => {
+    // Thursday to Sunday: Thursday, Friday and Saturday nights
+    const price = await calculatePrice(
+      property({ weekendPrice: 150 }),
+      stay(3, 3),
+    );
+
+    assert.deepStrictEqual(lineTypes(price), ["nightly", "weekend"]);
+    assert.strictEqual(price.breakdown.lines[1].quantity, 2);
+    assert.strictEqual(price.total.toFixed(2), "400.00");
+  });
+
+  it("ignores weekends when the property has no weekend price", async () => {
+    const price = await calculatePrice(property(), stay(3, 3));
+
+    assert.deepStrictEqual(lineTypes(price), ["nightly"]);
+    assert.strictEqual(price.total.toFixed(2), "300.00");
+  });
+
+  it("uses the weekly rate for whole weeks and nightly for the rest", async () => {
+    const price = await calculatePrice(
+      property({ weeklyPrice: 600 }),
+      stay(0, 9),
+    );
+
+    assert.deepStrictEqual(lineTypes(price), ["weekly", "nightly"]);
+    assert.strictEqual(price.total.toFixed(2), "800.00");
+  });
+
+  it("uses the monthly rate for whole months", async () => {
+    const price = await calculatePrice(
+      property({ monthlyPrice: 2400, weeklyPrice: 600 }),
+      stay(0, 38),
+    );
+
+    assert.deepStrictEqual(lineTypes(price), ["monthly", "weekly", "nightly"]);
+    assert.strictEqual(price.total.toFixed(2), "3100.00");
+  });
+
+  it("prices monthly rentals per 30 nights", async () => {
+    const price = await calculatePrice(
+      property({ rentalPeriod: "MONTH", price: 3000 }),
+      stay(0, 30),
+    );
+
+    assert.deepStrictEqual(lineTypes(price), ["monthly"]);
+    assert.strictEqual(price.total.toFixed(2), "3000.00");
+  });
+
+  it("applies the length-of-stay discount to the accommodation only", async () => {
+    const price = await calculatePrice(
+      property({ weeklyDiscount: 10, cleaningFee: 50 }),
+      stay(0, 7),
+    );
+
+    assert.deepStrictEqual(lineTypes(price), [
+      "nightly",
+      "discount",
+      "cleaning",
+    ]);
+    assert.strictEqual(price.breakdown.lines[1].amount, "-70.00");
+    assert.strictEqual(price.total.toFixed(2), "680.00");
+  });
+
+  it("charges extra guests per night above the included guests", async () => {
+    const price = await calculatePrice(
+      property({ guestsIncluded: 2, extraGuestFee: 10 }),
+      stay(0, 3, 4),
+    );
+
+    const extra = price.breakdown.lines.find((l) => l.type === "extraGuests");
+    assert.strictEqual(extra.quantity, 6);
+    assert.strictEqual(extra.amount, "60.00");
+    assert.strictEqual(price.total.toFixed(2), "360.00");
+  });
+
+  it("doesn't charge guests within the included number", async () => {
+    const price = await calculatePrice(
+      property({ guestsIncluded: 2, extraGuestFee: 10 }),
+      stay(0, 3, 2),
+    );
+
+    assert.deepStrictEqual(lineTypes(price), ["nightly"]);
+  });
+
+  it("adds the service fee on the subtotal", async () => {
+    serviceFeePercent = 10;
+    const price = await calculatePrice(
+      property({ cleaningFee: 50 }),
+      stay(0, 2),
+    );
+
+    assert.strictEqual(price.breakdown.subtotal, "250.00");
+    assert.strictEqual(price.breakdown.serviceFee, "25.00");
+    assert.strictEqual(price.total.toFixed(2), "275.00");
+    assert.strictEqual(lineTypes(price).at(-1), "service");
+  });
+
+  it("rounds unit prices and fees to cents, half up", async () => {
+    // 1000 a month is 33.333... a night, charged as 33.33
+    serviceFeePercent = 12.5;
+    const price = await calculatePrice(
+      property({ rentalPeriod: "MONTH", price: 1000 }),
+      stay(0, 3),
+    );
+
+    assert.strictEqual(price.breakdown.lines[0].unitPrice, "33.33");
+    assert.strictEqual(price.breakdown.subtotal, "99.99");
+    // 12.49875 rounds to 12.50
+    assert.strictEqual(price.breakdown.serviceFee, "12.50");
+    assert.strictEqual(price.breakdown.total, "112.49");
+
+    serviceFeePercent = 5;
+    const half = await calculatePrice(property({ price: 100.1 }), stay(0, 1));
+    // 5.005 rounds up to 5.01
+    assert.strictEqual(half.breakdown.serviceFee, "5.01");
+  });
+
+  it("refuses properties for sale", async () => {
+    await assert.rejects(
+      calculatePrice(property({ listingType: "SALE" }), stay(0, 1)),
+      PricingError,
+    );
+  });
+});
+
+describe("verifyQuote", () => {
+  const quoted = async () => {
+    const booking = stay(0, 3, 2);
+    const quote = await calculatePrice(property(), booking);
+    return { booking, token: signQuote(1, booking, quote) };
+  };
+
+  it("returns the quoted price for the same property, dates and guests", async () => {
+    const { booking, token } = await quoted();
+    const price = verifyQuote(token, 1, booking);
+
+    assert.strictEqual(price.total.toFixed(2), "300.00");
+    assert.strictEqual(price.breakdown.total, "300.00");
+  });
+
+  it("rejects a tampered quote", async () => {
+    const { booking, token } = await quoted();
+    const [payload, signature] = token.split(".");
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    data.breakdown.total = "1.00";
+    const tampered = `${Buffer.from(JSON.stringify(data)).toString(
+      "base64url",
+    )}.${signature}`;
+
+    assert.strictEqual(verifyQuote(tampered, 1, booking), null);
+    assert.strictEqual(verifyQuote(`${token}x`, 1, booking), null);
+  });
+
+  it("rejects an expired quote", async (t) => {
+    const { booking, token } = await quoted();
+    const now = Date.now();
+    t.mock.method(Date, "now", () => now + (QUOTE_TTL + 1) * 1000);
+
+    assert.strictEqual(verifyQuote(token, 1, booking), null);
+  });
+
+  it("rejects a quote for another property, dates or guest count", async () => {
+    const { booking, token } = await quoted();
+
+    assert.strictEqual(verifyQuote(token, 2, booking), null);
+    assert.strictEqual(
+      verifyQuote(token, 1, { ...booking, end: stay(0, 4).end }),
+      null,
+    );
+    assert.strictEqual(
+      verifyQuote(token, 1, { ...booking, guestCount: 3 }),
+      null,
+    );
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const prisma = require("./helpers/fakePrisma").install();
+const mockProvider = require("../utils/mockPaymentProvider");
+const {
+  RefundError,
+  refundBooking,
+  refundSummary,
+} = require("../utils/refunds");
+
+// A paid booking of 300 plus its security deposit
+const seedBooking = ({ depositAmount = 0, deposit } = {}) => {
+  const [booking] = prisma.$seed("booking", {
+    status: "confirmed",
+    paymentStatus: "paid",
+    totalPrice: 300,
+    depositAmount,
+  });
+  const [intent] = prisma.$seed("paymentIntent", {
+    bookingId: booking.id,
+    provider: "mock",
+    providerRef: `mock_pi_${booking.id}`,
+    status: "SUCCEEDED",
+    amount: 300 + depositAmount,
+    refundedAmount: 0,
+  });
+  if (deposit) {
+    prisma.$seed("securityDeposit", {
+      bookingId: booking.id,
+      amount: depositAmount,
+      ...deposit,
+    });
+  }
+
+  return { booking, intent };
+};
+
+const refund = (bookingId, amount) =>
+  refundBooking(bookingId, { amount, type: "MANUAL", reason: "Goodwill" });
+
+const row = (model, id) => prisma.$rows(model).find((r) => r.id === id);
+
+describe("refundBooking", () => {
+  beforeEach(() => prisma.$reset());
+
+  it("refunds part of a payment, then the rest", async () => {
+    const { booking, intent } = seedBooking();
+
+    const partial = await refund(booking.id, 100);
+    assert.strictEqual(partial.status, "SUCCEEDED");
+    assert.ok(partial.providerRef.startsWith("mock_re_"));
+    assert.strictEqual(
+      row("booking", booking.id).paymentStatus,
+      "partially_refunded",
+    );
+    assert.strictEqual(row("paymentIntent", intent.id).status, "SUCCEEDED");
+    assert.strictEqual(
+      Number(row("paymentIntent", intent.id).refundedAmount),
+      100,
+    );
+
+    // Without an amount the rest is refunded
+    const rest = await refund(booking.id);
+    assert.strictEqual(Number(rest.amount), 200);
+    assert.strictEqual(row("booking", booking.id).paymentStatus, "refunded");
+    assert.strictEqual(row("paymentIntent", intent.id).status, "REFUNDED");
+    assert.strictEqual(
+      Number(row("paymentIntent", intent.id).refundedAmount),
+      300,
+    );
+
+    await assert.rejects(refund(booking.id, 1), RefundError);
+  });
+
+  it("refuses more than is left to refund", async () => {
+    const { booking } = seedBooking();
+    await refund(booking.id, 120.5);
+
+    await assert.rejects(refund(booking.id, 179.51), {
+      message: "Only 179.50 of this payment is left to refund",
+    });
+    await assert.rejects(refund(booking.id, 0), /must be positive/);
+    assert.strictEqual(prisma.$rows("refund").length, 1);
+  });
+
+  it("keeps a held deposit out of reach", async () => {
+    const { booking } = seedBooking({
+      depositAmount: 100,
+      deposit: { status: "HELD" },
+    });
+
+    await assert.rejects(refund(booking.id, 301), /Only 300.00/);
+    const rest = await refund(booking.id);
+    assert.strictEqual(Number(rest.amount), 300);
+    // The price is refunded in full, the deposit isn't part of it
+    assert.strictEqual(row("booking", booking.id).paymentStatus, "refunded");
+  });
+
+  it("keeps a claimed deposit out of reach", async () => {
+    const { booking } = seedBooking({
+      depositAmount: 100,
+      deposit: { status: "CLAIMED" },
+    });
+
+    assert.strictEqual(Number((await refund(booking.id)).amount), 300);
+  });
+
+  it("keeps the part of a settled deposit awarded to the host", async () => {
+    const { booking, intent } = seedBooking({
+      depositAmount: 100,
+      deposit: { status: "SETTLED", withheldAmount: 40, releasedAmount: 60 },
+    });
+    prisma.$seed("refund", {
+      bookingId: booking.id,
+      paymentIntentId: intent.id,
+      type: "DEPOSIT",
+      status: "SUCCEEDED",
+      amount: 60,
+    });
+
+    await assert.rejects(refund(booking.id, 300.01), /Only 300.00/);
+    assert.strictEqual(Number((await refund(booking.id)).amount), 300);
+  });
+
+  it("can refund a returned deposit's booking in full", async () => {
+    const { booking, intent } = seedBooking({
+      depositAmount: 100,
+      deposit: { status: "RELEASED", releasedAmount: 100 },
+    });
+    prisma.$seed("refund", {
+      bookingId: booking.id,
+      paymentIntentId: intent.id,
+      type: "DEPOSIT",
+      status: "SUCCEEDED",
+      amount: 100,
+    });
+
+    assert.strictEqual(Number((await refund(booking.id)).amount), 300);
+    assert.strictEqual(row("paymentIntent", intent.id).status, "REFUNDED");
+  });
+
+  it("doesn't count failed refunds", async (t) => {
+    const { booking } = seedBooking();
+    t.mock.method(mockProvider, "refund", async () => {
+      throw new Error("Provider unavailable");
+    });
+
+    await assert.rejects(refund(booking.id, 300), {
+      message: "The payment provider could not process the refund",
+      status: 502,
+    });
+    const [failed] = prisma.$rows("refund");
+    assert.strictEqual(failed.status, "FAILED");
+    assert.strictEqual(failed.error, "Provider unavailable");
+
+    t.mock.restoreAll();
+    assert.strictEqual(Number((await refund(booking.id, 300)).amount), 300);
+  });
+
+  it("refuses bookings without a captured payment", async () => {
+    const { booking, intent } = seedBooking();
+    row("paymentIntent", intent.id).status = "AUTHORIZED";
+
+    await assert.rejects(refund(booking.id, 10), {
+      message: "This booking has no captured payment",
+    });
+  });
+});
+
+describe("refundSummary", () => {
+  it("splits the price into refunded, retained and unpaid", () => {
+    const summary = refundSummary({
+      totalPrice: 300,
+      depositAmount: 100,
+      paymentIntents: [{ amount: 400, status: "SUCCEEDED" }],
+      refunds: [
+        { type: "CANCELLATION", status: "SUCCEEDED", amount: 150 },
+        { type: "MANUAL", status: "FAILED", amount: 50 },
+        { type: "DEPOSIT", status: "SUCCEEDED", amount: 100 },
+      ],
+    });
+
+    assert.strictEqual(summary.paid.toFixed(2), "300.00");
+    assert.strictEqual(summary.refunded.toFixed(2), "150.00");
+    assert.strictEqual(summary.retained.toFixed(2), "150.00");
+    assert.strictEqual(summary.unpaid.toFixed(2), "0.00");
+    assert.strictEqual(summary.deposit.returned.toFixed(2), "100.00");
+  });
+
+  it("treats an uncaptured booking as unpaid", () => {
+    const summary = refundSummary({
+      totalPrice: 300,
+      depositAmount: 100,
+      paymentIntents: [{ amount: 400, status: "AUTHORIZED" }],
+    });
+
+    assert.strictEqual(summary.paid.toFixed(2), "0.00");
+    assert.strictEqual(summary.unpaid.toFixed(2), "300.00");
+    assert.strictEqual(summary.deposit.amount.toFixed(2), "0.00");
+  });
+});
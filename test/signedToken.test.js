@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+process.env.TOKEN_SECRET = "test-token-secret";
+const { sign, verify } = require("../utils/signedToken");
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+describe("signedToken", () => {
+  it("returns the signed payload with its expiry", () => {
+    const before = Math.floor(Date.now() / 1000);
+    const payload = verify(sign({ userId: 7, purpose: "login" }, 60));
+
+    assert.strictEqual(payload.userId, 7);
+    assert.strictEqual(payload.purpose, "login");
+    assert.ok(payload.exp >= before + 60 && payload.exp <= before + 61);
+  });
+
+  it("rejects a changed payload or signature", () => {
+    const token = sign({ userId: 7 }, 60);
+    const [payload, signature] = token.split(".");
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+
+    assert.strictEqual(
+      verify(`${encode({ ...data, userId: 8 })}.${signature}`),
+      null,
+    );
+    const last = signature.at(-1) === "A" ? "B" : "A";
+    assert.strictEqual(
+      verify(`${payload}.${signature.slice(0, -1)}${last}`),
+      null,
+    );
+    assert.strictEqual(verify(`${payload}.${signature}x`), null);
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const token = sign({ userId: 7 }, 60);
+    process.env.TOKEN_SECRET = "another-secret";
+
+    try {
+      assert.strictEqual(verify(token), null);
+    } finally {
+      process.env.TOKEN_SECRET = "test-token-secret";
+    }
+  });
+
+  it("rejects an expired token", (t) => {
+    const token = sign({ userId: 7 }, 60);
+    const now = Date.now();
+
+    t.mock.method(Date, "now", () => now + 60 * 1000);
+    assert.ok(verify(token));
+
+    t.mock.method(Date, "now", () => now + 62 * 1000);
+    assert.strictEqual(verify(token), null);
+  });
+
+  it("rejects malformed tokens", () => {
+    const token = sign({ userId: 7 }, 60);
+
+    for (const value of [
+      undefined,
+      null,
+      "",
+      42,
+      "abc",
+      ".",
+      `${token}.extra`,
+      token.split(".")[0],
+    ]) {
+      assert.strictEqual(verify(value), null, String(value));
+    }
+  });
+
+  it("rejects a signed payload without an expiry", () => {
+    // Signed correctly but not by sign(), so no exp
+    const payload = encode({ userId: 7 });
+    const signature = crypto
+      .createHmac("sha256", process.env.TOKEN_SECRET)
+      .update(payload)
+      .digest("base64url");
+
+    assert.strictEqual(verify(`${payload}.${signature}`), null);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const {
+  validateStayRuleFields,
+  pickStayRuleFields,
+  stayRuleViolations,
+} = require("../utils/stayRules");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const HOUR_MS = 1000 * 60 * 60;
+// A Monday
+const NOW = new Date("2030-01-07T00:00:00Z");
+
+const stay = (startDays, nights) => {
+  const start = new Date(NOW.getTime() + startDays * DAY_MS);
+  return [start, new Date(start.getTime() + nights * DAY_MS)];
+};
+
+const violations = (property, [start, end], now = NOW) =>
+  stayRuleViolations(property, start, end, now);
+
+describe("stayRuleViolations", () => {
+  it("allows any stay without rules", () => {
+    assert.deepStrictEqual(violations({}, stay(0, 90)), []);
+  });
+
+  it("checks the minimum and maximum nights, inclusive", () => {
+    const property = { minNights: 2, maxNights: 5 };
+
+    assert.deepStrictEqual(violations(property, stay(7, 2)), []);
+    assert.deepStrictEqual(violations(property, stay(7, 5)), []);
+    assert.deepStrictEqual(violations(property, stay(7, 1)), [
+      "The minimum stay is 2 nights, you selected 1",
+    ]);
+    assert.deepStrictEqual(violations(property, stay(7, 6)), [
+      "The maximum stay is 5 nights, you selected 6",
+    ]);
+  });
+
+  it("checks check-in and check-out weekdays", () => {
+    // Saturday to Saturday only
+    const property = { checkInDays: [6], checkOutDays: [6] };
+
+    assert.deepStrictEqual(violations(property, stay(5, 7)), []);
+    assert.deepStrictEqual(violations(property, stay(7, 3)), [
+      "Check-in is only possible on Saturday",
+      "Check-out is only possible on Saturday",
+    ]);
+    assert.deepStrictEqual(violations({ checkInDays: [5, 1] }, stay(2, 1)), [
+      "Check-in is only possible on Monday, Friday",
+    ]);
+  });
+
+  it("checks the advance notice", () => {
+    const property = { advanceNoticeHours: 48 };
+    const [start, end] = stay(2, 1);
+
+    assert.deepStrictEqual(violations(property, [start, end]), []);
+    assert.deepStrictEqual(
+      violations(property, [start, end], new Date(NOW.getTime() + HOUR_MS)),
+      ["Bookings must be made at least 48 hours before check-in"],
+    );
+  });
+
+  it("checks the booking window", () => {
+    const property = { bookingWindowDays: 30 };
+
+    assert.deepStrictEqual(violations(property, stay(30, 1)), []);
+    assert.deepStrictEqual(violations(property, stay(31, 1)), [
+      "Bookings can only be made up to 30 days in advance",
+    ]);
+  });
+
+  it("treats rules of 0 as no rule", () => {
+    const property = {
+      minNights: 0,
+      maxNights: 0,
+      advanceNoticeHours: 0,
+      bookingWindowDays: 0,
+    };
+    assert.deepStrictEqual(violations(property, stay(0, 400)), []);
+  });
+});
+
+describe("validateStayRuleFields", () => {
+  it("accepts whole numbers, weekday lists and blank rules", () => {
+    assert.strictEqual(
+      validateStayRuleFields({
+        minNights: 2,
+        maxNights: "14",
+        advanceNoticeHours: 0,
+        bookingWindowDays: "",
+        bufferDays: null,
+        checkInDays: [0, 6],
+        checkOutDays: null,
+      }),
+      null,
+    );
+  });
+
+  const invalid = [
+    [{ minNights: -1 }, "minNights must be a whole number of 0 or more"],
+    [{ bufferDays: 1.5 }, "bufferDays must be a whole number of 0 or more"],
+    [{ maxNights: "many" }, "maxNights must be a whole number of 0 or more"],
+    [{ checkInDays: [] }, "checkInDays must be a list of weekdays"],
+    [{ checkInDays: [7] }, "checkInDays must be a list of weekdays"],
+    [{ checkOutDays: "1" }, "checkOutDays must be a list of weekdays"],
+    [{ minNights: 5, maxNights: 3 }, "minNights cannot be more than maxNights"],
+  ];
+
+  for (const [body, message] of invalid) {
+    it(`refuses ${JSON.stringify(body)}`, () => {
+      assert.ok(validateStayRuleFields(body).startsWith(message));
+    });
+  }
+
+  it("checks the nights against the stored rules on partial updates", () => {
+    const stored = { minNights: 1, maxNights: 3 };
+
+    assert.strictEqual(
+      validateStayRuleFields({ minNights: 5 }, stored),
+      "minNights cannot be more than maxNights",
+    );
+    assert.strictEqual(
+      validateStayRuleFields({ maxNights: 1 }, { minNights: 2 }),
+      "minNights cannot be more than maxNights",
+    );
+    assert.strictEqual(validateStayRuleFields({ minNights: 3 }, stored), null);
+  });
+
+  it("lets an update remove the stored limit it would break", () => {
+    const stored = { minNights: 1, maxNights: 3 };
+
+    assert.strictEqual(
+      validateStayRuleFields({ minNights: 5, maxNights: "" }, stored),
+      null,
+    );
+    assert.strictEqual(
+      validateStayRuleFields({ minNights: 5, maxNights: 7 }, stored),
+      null,
+    );
+  });
+});
+
+describe("pickStayRuleFields", () => {
+  it("picks the rules present, removing blank ones", () => {
+    assert.deepStrictEqual(
+      pickStayRuleFields({
+        minNights: "2",
+        maxNights: "",
+        checkInDays: [6, 6, 5],
+        checkOutDays: null,
+        title: "Not a rule",
+      }),
+      {
+        minNights: 2,
+        maxNights: null,
+        checkInDays: [6, 5],
+        checkOutDays: null,
+      },
+    );
+  });
+});
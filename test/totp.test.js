@@ -0,0 +1,118 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+} = require("../utils/totp");
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890", in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe("generateCode", () => {
+  // RFC 6238 appendix B, as 6 digits: the last 6 of the 8-digit values
+  const vectors = [
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+    [20000000000, "353130"],
+  ];
+
+  for (const [seconds, code] of vectors) {
+    it(`matches the RFC 6238 code at ${seconds}s`, () => {
+      assert.strictEqual(generateCode(RFC_SECRET, stepAt(seconds)), code);
+    });
+  }
+
+  it("reads lowercase and padded secrets", () => {
+    assert.strictEqual(
+      generateCode(`${RFC_SECRET.toLowerCase()}====`, stepAt(59)),
+      "287082",
+    );
+  });
+});
+
+describe("verifyCode", () => {
+  const at = (t, seconds) => t.mock.method(Date, "now", () => seconds * 1000);
+
+  it("returns the step of a current code", (t) => {
+    at(t, 1111111111);
+    assert.strictEqual(verifyCode(RFC_SECRET, "050471"), stepAt(1111111111));
+  });
+
+  it("accepts one step of drift either way", (t) => {
+    const now = 1234567890;
+    const step = stepAt(now);
+    at(t, now);
+
+    for (const drift of [-1, 1]) {
+      const code = generateCode(RFC_SECRET, step + drift);
+      assert.strictEqual(verifyCode(RFC_SECRET, code), step + drift);
+    }
+    for (const drift of [-2, 2]) {
+      const code = generateCode(RFC_SECRET, step + drift);
+      assert.strictEqual(verifyCode(RFC_SECRET, code), null);
+    }
+  });
+
+  it("rejects codes at or before the last used step", (t) => {
+    const now = 1234567890;
+    const step = stepAt(now);
+    at(t, now);
+    const code = generateCode(RFC_SECRET, step);
+
+    assert.strictEqual(verifyCode(RFC_SECRET, code, step - 1), step);
+    assert.strictEqual(verifyCode(RFC_SECRET, code, step), null);
+    assert.strictEqual(verifyCode(RFC_SECRET, code, step + 1), null);
+
+    // The next step's code is still accepted after this one was used
+    const next = generateCode(RFC_SECRET, step + 1);
+    assert.strictEqual(verifyCode(RFC_SECRET, next, step), step + 1);
+  });
+
+  it("rejects malformed and wrong codes", (t) => {
+    at(t, 59);
+    for (const code of [null, "", "28708", "2870820", "28708a", "123456"]) {
+      assert.strictEqual(verifyCode(RFC_SECRET, code), null, String(code));
+    }
+    assert.strictEqual(verifyCode(RFC_SECRET, 287082), stepAt(59));
+  });
+});
+
+describe("generateSecret", () => {
+  it("makes random 160-bit base32 secrets", () => {
+    const secret = generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notStrictEqual(generateSecret(), secret);
+    assert.strictEqual(generateCode(secret, 1).length, 6);
+  });
+});
+
+describe("provisioningUri", () => {
+  it("describes the secret for authenticator apps", () => {
+    const uri = new URL(
+      provisioningUri({
+        secret: RFC_SECRET,
+        accountName: "guest@example.test",
+        issuer: "Rental",
+      }),
+    );
+
+    assert.strictEqual(uri.protocol, "otpauth:");
+    assert.strictEqual(uri.host, "totp");
+    assert.strictEqual(
+      decodeURIComponent(uri.pathname),
+      "/Rental:guest@example.test",
+    );
+    assert.strictEqual(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.strictEqual(uri.searchParams.get("digits"), "6");
+    assert.strictEqual(uri.searchParams.get("period"), "30");
+  });
+});
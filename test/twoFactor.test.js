@@ -0,0 +1,53 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+process.env.ENCRYPTION_KEY = "test-encryption-key";
+const prisma = require("./helpers/fakePrisma").install();
+const { encrypt, hashToken } = require("../utils/encryption");
+const totp = require("../utils/totp");
+const { verifySecondFactor } = require("../utils/twoFactor");
+
+describe("verifySecondFactor", () => {
+  let secret;
+  let userId;
+
+  beforeEach(() => {
+    prisma.$reset();
+    secret = totp.generateSecret();
+    [{ id: userId }] = prisma.$seed("user", {
+      twoFactorSecret: encrypt(secret),
+      twoFactorLastStep: null,
+    });
+  });
+
+  it("accepts a TOTP code once", async () => {
+    const code = totp.generateCode(secret);
+
+    assert.strictEqual(await verifySecondFactor(userId, code), true);
+    assert.strictEqual(await verifySecondFactor(userId, code), false);
+  });
+
+  it("rejects an earlier code once a later one was used", async () => {
+    const step = Math.floor(Date.now() / 1000 / 30);
+
+    assert.strictEqual(
+      await verifySecondFactor(userId, totp.generateCode(secret, step)),
+      true,
+    );
+    assert.strictEqual(
+      await verifySecondFactor(userId, totp.generateCode(secret, step - 1)),
+      false,
+    );
+  });
+
+  it("accepts a recovery code once", async () => {
+    prisma.$seed("recoveryCode", {
+      userId,
+      codeHash: hashToken("a1b2cd3e4f"),
+      usedAt: null,
+    });
+
+    assert.strictEqual(await verifySecondFactor(userId, "A1B2C-D3E4F"), true);
+    assert.strictEqual(await verifySecondFactor(userId, "a1b2c-d3e4f"), false);
+  });
+});
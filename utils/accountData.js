@@ -0,0 +1,343 @@
+const path = require("path");
+const fs = require("fs");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { maskPayoutDetails } = require("./payoutMethods");
+
+const UPLOADS_DIR = path.join(__dirname, "../uploads");
+
+// Deposit claim fields in the export
+const depositClaimSelect = {
+  deposit: { select: { bookingId: true } },
+  amount: true,
+  description: true,
+  evidence: true,
+  status: true,
+  guestResponse: true,
+  awardedAmount: true,
+  resolutionNote: true,
+  resolvedAt: true,
+  createdAt: true,
+};
+
+// Everything we hold about a user, for the personal data export
+module.exports.collectUserData = async (userId) => {
+  const [
+    profile,
+    bookings,
+    reviews,
+    wishlists,
+    properties,
+    hostReviewsWritten,
+    hostReviewsReceived,
+    hostApplications,
+    identities,
+    apiTokens,
+    payoutMethods,
+    payouts,
+    refunds,
+    depositClaimsFiled,
+    depositClaimsReceived,
+    calendarBlocks,
+  ] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        pendingEmail: true,
+        role: true,
+        phone: true,
+        profileImage: true,
+        bio: true,
+        isVerified: true,
+        twoFactorEnabled: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    }),
+    prisma.booking.findMany({
+      where: { guestId: userId },
+      include: {
+        property: { select: { id: true, title: true, slug: true } },
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.review.findMany({
+      where: { userId },
+      include: { property: { select: { id: true, title: true } } },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.wishlist.findMany({
+      where: { userId },
+      include: {
+        properties: { select: { id: true, title: true, slug: true } },
+      },
+    }),
+    prisma.property.findMany({
+      where: { hostId: userId },
+      include: {
+        images: true,
+        category: { select: { name: true } },
+        propertyType: { select: { name: true } },
+        amenities: { select: { name: true } },
+        locationFeatures: { select: { name: true } },
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.hostReview.findMany({ where: { guestId: userId } }),
+    prisma.hostReview.findMany({ where: { hostId: userId } }),
+    prisma.hostApplication.findMany({ where: { userId } }),
+    prisma.userIdentity.findMany({
+      where: { userId },
+      select: {
+        provider: true,
+        email: true,
+        lastLoginAt: true,
+        createdAt: true,
+      },
+    }),
+    prisma.apiToken.findMany({
+      where: { userId },
+      select: {
+        name: true,
+        prefix: true,
+        scopes: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        revokedAt: true,
+        createdAt: true,
+      },
+    }),
+    prisma.payoutMethod.findMany({
+      where: { hostId: userId },
+      select: {
+        method: true,
+        details: true,
+        isDefault: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.payout.findMany({
+      where: { hostId: userId },
+      select: {
+        bookingId: true,
+        type: true,
+        grossAmount: true,
+        serviceFee: true,
+        commissionPercent: true,
+        commission: true,
+        amount: true,
+        currency: true,
+        status: true,
+        reference: true,
+        releaseAt: true,
+        releasedAt: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.refund.findMany({
+      where: { booking: { guestId: userId } },
+      select: {
+        bookingId: true,
+        amount: true,
+        type: true,
+        status: true,
+        reason: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.depositClaim.findMany({
+      where: { hostId: userId },
+      select: depositClaimSelect,
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.depositClaim.findMany({
+      where: { deposit: { booking: { guestId: userId } } },
+      select: depositClaimSelect,
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.calendarBlock.findMany({
+      where: { property: { hostId: userId } },
+      select: {
+        propertyId: true,
+        startDate: true,
+        endDate: true,
+        note: true,
+        source: true,
+        createdAt: true,
+      },
+      orderBy: { startDate: "asc" },
+    }),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    bookings,
+    reviews,
+    wishlists,
+    properties,
+    hostReviews: {
+      written: hostReviewsWritten,
+      received: hostReviewsReceived,
+    },
+    hostApplications: hostApplications.map((application) => ({
+      ...application,
+      payoutDetails: maskPayoutDetails(application.payoutDetails),
+    })),
+    identities,
+    apiTokens,
+    payoutMethods: payoutMethods.map((method) => ({
+      ...method,
+      details: maskPayoutDetails(method.details),
+    })),
+    payouts,
+    refunds,
+    depositClaims: {
+      filed: depositClaimsFiled,
+      received: depositClaimsReceived,
+    },
+    calendarBlocks,
+  };
+};
+
+// Uploaded files referenced by the export that still exist on disk, as
+// { path on disk, name inside the archive }
+module.exports.collectUserFiles = (data) => {
+  const urls = [
+    data.profile.profileImage,
+    ...data.properties.flatMap((property) =>
+      property.images.map((image) => image.url),
+    ),
+  ];
+
+  return urls
+    .filter((url) => url && url.startsWith("/uploads/"))
+    .map((url) => ({
+      path: path.join(UPLOADS_DIR, path.relative("/uploads", url)),
+      name: path.join("images", path.relative("/uploads", url)),
+    }))
+    .filter(
+      (file) => file.path.startsWith(UPLOADS_DIR) && fs.existsSync(file.path),
+    );
+};
+
+// Reasons the account can't be deleted yet, empty if it can be
+module.exports.deletionBlockers = async (userId) => {
+  const [
+    activeBookings,
+    hostedActiveBookings,
+    listedProperties,
+    pendingPayouts,
+    openClaims,
+  ] = await Promise.all([
+    prisma.booking.count({
+      where: {
+        guestId: userId,
+        status: { in: ["pending", "confirmed"] },
+        endDate: { gte: new Date() },
+      },
+    }),
+    prisma.booking.count({
+      where: {
+        property: { hostId: userId },
+        status: { in: ["pending", "confirmed"] },
+        endDate: { gte: new Date() },
+      },
+    }),
+    prisma.property.count({
+      where: { hostId: userId, isAvailable: true },
+    }),
+    prisma.payout.count({
+      where: { hostId: userId, status: "PENDING" },
+    }),
+    prisma.depositClaim.count({
+      where: {
+        status: { in: ["OPEN", "DISPUTED"] },
+        OR: [{ hostId: userId }, { deposit: { booking: { guestId: userId } } }],
+      },
+    }),
+  ]);
+
+  const blockers = [];
+
+  if (activeBookings > 0) {
+    blockers.push(
+      `You have ${activeBookings} active booking(s). Cancel them or wait until they are over.`,
+    );
+  }
+
+  if (hostedActiveBookings > 0) {
+    blockers.push(
+      `Your properties have ${hostedActiveBookings} active booking(s) from guests.`,
+    );
+  }
+
+  if (listedProperties > 0) {
+    blockers.push(
+      `You have ${listedProperties} listed propert${
+        listedProperties === 1 ? "y" : "ies"
+      }. Unlist them before deleting your account.`,
+    );
+  }
+
+  if (pendingPayouts > 0) {
+    blockers.push(
+      `You have ${pendingPayouts} payout(s) still to be paid. Wait until they are released.`,
+    );
+  }
+
+  if (openClaims > 0) {
+    blockers.push(
+      `You have ${openClaims} security deposit claim(s) that aren't settled yet.`,
+    );
+  }
+
+  return blockers;
+};
+
+// Remove personal data but keep the user row, so bookings and reviews stay
+// intact for hosts' records. Everything else tied to the account is deleted.
+module.exports.anonymizeUser = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { email: true },
+  });
+
+  await prisma.$transaction([
+    prisma.userToken.deleteMany({ where: { userId } }),
+    prisma.refreshToken.deleteMany({ where: { userId } }),
+    prisma.apiToken.deleteMany({ where: { userId } }),
+    prisma.userIdentity.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.hostApplication.deleteMany({ where: { userId } }),
+    prisma.payoutMethod.deleteMany({ where: { hostId: userId } }),
+    prisma.wishlist.deleteMany({ where: { userId } }),
+    prisma.loginThrottle.deleteMany({
+      where: { key: `email:${user.email.toLowerCase()}` },
+    }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        name: "Deleted user",
+        email: `deleted-${userId}@deleted.invalid`,
+        pendingEmail: null,
+        password: null,
+        phone: null,
+        profileImage: null,
+        bio: null,
+        isVerified: false,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+        sessionVersion: { increment: 1 },
+        deletedAt: new Date(),
+      },
+    }),
+  ]);
+};
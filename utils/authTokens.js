@@ -0,0 +1,208 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { generateSecureToken, hashToken } = require("./encryption");
+const signedToken = require("./signedToken");
+const { sessionUserSelect } = require("./users");
+
+const ACCESS_TOKEN_TTL = 60 * 15; // seconds
+const REFRESH_TOKEN_TTL = 1000 * 60 * 60 * 24 * 30;
+const API_TOKEN_PREFIX = "rk_";
+
+// Scopes a personal API token can be granted. Each API area has a read scope
+// for GET requests and a write scope for everything else.
+const API_SCOPES = [
+  "account:read",
+  "account:write",
+  "guest:read",
+  "guest:write",
+  "host:read",
+  "host:write",
+  "admin:read",
+  "admin:write",
+  "payments:read",
+  "payments:write",
+];
+
+const SCOPE_AREAS = {
+  "/api/auth": "account",
+  "/api/guest": "guest",
+  "/api/host": "host",
+  "/api/admin": "admin",
+  "/api/payments": "payments",
+};
+
+// Scope needed for the current request, e.g. "host:write"
+module.exports.requiredScope = (req) => {
+  const area = SCOPE_AREAS[req.baseUrl];
+  if (!area) return null;
+
+  const access = ["GET", "HEAD", "OPTIONS"].includes(req.method)
+    ? "read"
+    : "write";
+  return `${area}:${access}`;
+};
+
+const createRefreshToken = async (user, familyId) => {
+  const token = generateSecureToken();
+
+  await prisma.refreshToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(token),
+      familyId,
+      sessionVersion: user.sessionVersion,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+    },
+  });
+
+  return token;
+};
+
+// Access + refresh token pair returned by the token endpoints
+module.exports.issueTokenPair = async (user, familyId) => {
+  const accessToken = signedToken.sign(
+    { typ: "access", sub: user.id, sv: user.sessionVersion },
+    ACCESS_TOKEN_TTL,
+  );
+  const refreshToken = await createRefreshToken(
+    user,
+    familyId || crypto.randomUUID(),
+  );
+
+  return {
+    tokenType: "Bearer",
+    accessToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new pair. Each refresh token works once; if
+// an already rotated token is presented, the whole family is revoked because
+// the token has probably been stolen.
+module.exports.rotateRefreshToken = async (token) => {
+  if (!token || typeof token !== "string") return null;
+
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: { select: sessionUserSelect } },
+  });
+
+  if (!existing) return null;
+
+  const now = new Date();
+
+  if (existing.revokedAt) {
+    await prisma.refreshToken.updateMany({
+      where: { familyId: existing.familyId, revokedAt: null },
+      data: { revokedAt: now },
+    });
+    return null;
+  }
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: existing.id, revokedAt: null },
+    data: { revokedAt: now },
+  });
+
+  if (
+    count === 0 ||
+    existing.expiresAt <= now ||
+    existing.sessionVersion !== existing.user.sessionVersion
+  ) {
+    return null;
+  }
+
+  const tokens = await module.exports.issueTokenPair(
+    existing.user,
+    existing.familyId,
+  );
+
+  return { user: existing.user, tokens };
+};
+
+// Revoke every refresh token issued from the same login
+module.exports.revokeRefreshToken = async (token) => {
+  if (!token || typeof token !== "string") return false;
+
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!existing) return false;
+
+  await prisma.refreshToken.updateMany({
+    where: { familyId: existing.familyId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return true;
+};
+
+module.exports.createApiToken = async (userId, { name, scopes, expiresAt }) => {
+  const token = `${API_TOKEN_PREFIX}${generateSecureToken()}`;
+
+  const apiToken = await prisma.apiToken.create({
+    data: {
+      userId,
+      name,
+      scopes,
+      expiresAt,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    },
+  });
+
+  return { token, apiToken };
+};
+
+// Resolve a bearer token to { user, info } or null. Personal API tokens are
+// recognised by their prefix; everything else is treated as an access token.
+module.exports.authenticateBearerToken = async (token) => {
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    const now = new Date();
+    const apiToken = await prisma.apiToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: { select: sessionUserSelect } },
+    });
+
+    if (
+      !apiToken ||
+      apiToken.revokedAt ||
+      (apiToken.expiresAt && apiToken.expiresAt <= now)
+    ) {
+      return null;
+    }
+
+    await prisma.apiToken.update({
+      where: { id: apiToken.id },
+      data: { lastUsedAt: now },
+    });
+
+    return {
+      user: apiToken.user,
+      info: {
+        scheme: "api_token",
+        tokenId: apiToken.id,
+        scopes: apiToken.scopes,
+      },
+    };
+  }
+
+  const payload = signedToken.verify(token);
+  if (!payload || payload.typ !== "access") return null;
+
+  const user = await prisma.user.findUnique({
+    where: { id: payload.sub },
+    select: sessionUserSelect,
+  });
+
+  if (!user || user.sessionVersion !== payload.sv) return null;
+
+  // First-party access tokens carry all the permissions of the user
+  return { user, info: { scheme: "access_token", scopes: null } };
+};
+
+module.exports.API_SCOPES = API_SCOPES;
@@ -0,0 +1,164 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { stayRuleViolations } = require("./stayRules");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Bookings in these statuses hold their dates
+const ACTIVE_BOOKING_STATUSES = ["pending", "confirmed"];
+
+class BookingConflictError extends Error {
+  constructor(conflicts) {
+    super("Property is already booked for the selected dates");
+    this.status = 409;
+    this.conflicts = conflicts;
+  }
+}
+
+// Active bookings overlapping [start, end), widened by the property's
+// buffer days so hosts get time to prepare between stays. Without a buffer
+// a stay may start on the day another one ends.
+const findConflictingBookings = (property, start, end, tx = prisma) => {
+  const buffer = (property.bufferDays || 0) * DAY_MS;
+
+  return tx.booking.findMany({
+    where: {
+      propertyId: property.id,
+      status: { in: ACTIVE_BOOKING_STATUSES },
+      startDate: { lt: new Date(end.getTime() + buffer) },
+      endDate: { gt: new Date(start.getTime() - buffer) },
+    },
+    select: { id: true, startDate: true, endDate: true },
+  });
+};
+
+// Host calendar blocks overlapping [start, end)
+const findConflictingBlocks = (propertyId, start, end, tx = prisma) =>
+  tx.calendarBlock.findMany({
+    where: {
+      propertyId,
+      startDate: { lt: end },
+      endDate: { gt: start },
+    },
+    select: { id: true, startDate: true, endDate: true },
+  });
+
+// Returns an error message for invalid stay dates, or null
+const validateStayDates = (start, end) => {
+  if (isNaN(start) || isNaN(end)) {
+    return "Invalid dates";
+  }
+
+  if (start >= end) {
+    return "End date must be after start date";
+  }
+
+  if (start < new Date()) {
+    return "Start date cannot be in the past";
+  }
+
+  return null;
+};
+
+// Whether a property can be booked for the dates. Returns
+// { available: false, message } with the broken stay rules or conflicting
+// dates, or { available: true }.
+const checkAvailability = async (property, start, end, tx = prisma) => {
+  if (!property.isAvailable) {
+    return { available: false, message: "Property is not available" };
+  }
+
+  // Check if requested dates are within property's available range
+  if (property.availableFrom && start < property.availableFrom) {
+    return {
+      available: false,
+      message: `Property is only available from ${
+        property.availableFrom.toISOString().split("T")[0]
+      }`,
+    };
+  }
+
+  if (property.availableTo && end > property.availableTo) {
+    return {
+      available: false,
+      message: `Property is only available until ${
+        property.availableTo.toISOString().split("T")[0]
+      }`,
+    };
+  }
+
+  const violations = stayRuleViolations(property, start, end);
+
+  if (violations.length > 0) {
+    return {
+      available: false,
+      message: "The selected dates don't meet this property's stay rules",
+      violations,
+    };
+  }
+
+  const blocks = await findConflictingBlocks(property.id, start, end, tx);
+
+  if (blocks.length > 0) {
+    return {
+      available: false,
+      message: "The host has blocked some of the selected dates",
+      conflictingDates: blocks.map((block) => ({
+        startDate: block.startDate,
+        endDate: block.endDate,
+      })),
+    };
+  }
+
+  const conflicts = await findConflictingBookings(property, start, end, tx);
+
+  if (conflicts.length > 0) {
+    return {
+      available: false,
+      message: property.bufferDays
+        ? `Property is already booked for the selected dates or the ${property.bufferDays} preparation days around them`
+        : "Property is already booked for the selected dates",
+      conflictingDates: conflicts.map((booking) => ({
+        startDate: booking.startDate,
+        endDate: booking.endDate,
+      })),
+    };
+  }
+
+  return { available: true };
+};
+
+// Lock the property row until the transaction ends so concurrent
+// reservations for the same property run one after another
+const lockProperty = (tx, propertyId) =>
+  tx.$queryRaw`SELECT id FROM Property WHERE id = ${propertyId} FOR UPDATE`;
+
+// Check the dates are free of bookings and blocks and run `create(tx)` in
+// the same transaction, holding the property lock. Throws
+// BookingConflictError when taken.
+const reserveDates = (property, start, end, create) =>
+  prisma.$transaction(async (tx) => {
+    await lockProperty(tx, property.id);
+
+    const conflicts = [
+      ...(await findConflictingBookings(property, start, end, tx)),
+      ...(await findConflictingBlocks(property.id, start, end, tx)),
+    ];
+
+    if (conflicts.length > 0) {
+      throw new BookingConflictError(conflicts);
+    }
+
+    return create(tx);
+  });
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  BookingConflictError,
+  findConflictingBookings,
+  findConflictingBlocks,
+  validateStayDates,
+  checkAvailability,
+  lockProperty,
+  reserveDates,
+};
@@ -0,0 +1,102 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  BookingTransitionError,
+  transitionBooking,
+} = require("./bookingStatus");
+const { settlePayment } = require("./payments");
+
+const BOOKING_MODES = ["INSTANT", "REQUEST"];
+const DEFAULT_RESPONSE_WINDOW_HOURS = 24;
+const MAX_RESPONSE_WINDOW_HOURS = 24 * 7;
+// How long an Instant Book guest has to pay before the dates are released
+const PAYMENT_WINDOW_HOURS = 1;
+const HOUR_MS = 1000 * 60 * 60;
+
+// Returns an error message, or null if the booking mode fields are valid
+module.exports.validateBookingModeFields = (body) => {
+  if (
+    body.bookingMode !== undefined &&
+    !BOOKING_MODES.includes(body.bookingMode)
+  ) {
+    return `Booking mode must be one of: ${BOOKING_MODES.join(", ")}`;
+  }
+
+  if (
+    body.responseWindowHours !== undefined &&
+    body.responseWindowHours !== null &&
+    body.responseWindowHours !== ""
+  ) {
+    const value = Number(body.responseWindowHours);
+    if (
+      !Number.isInteger(value) ||
+      value < 1 ||
+      value > MAX_RESPONSE_WINDOW_HOURS
+    ) {
+      return `responseWindowHours must be a whole number between 1 and ${MAX_RESPONSE_WINDOW_HOURS}`;
+    }
+  }
+
+  return null;
+};
+
+// Property data for the booking mode fields present in the body
+module.exports.pickBookingModeFields = (body) => {
+  const data = {};
+
+  if (body.bookingMode !== undefined) {
+    data.bookingMode = body.bookingMode;
+  }
+
+  if (body.responseWindowHours !== undefined) {
+    data.responseWindowHours =
+      body.responseWindowHours === null || body.responseWindowHours === ""
+        ? null
+        : parseInt(body.responseWindowHours);
+  }
+
+  return data;
+};
+
+// When a new booking expires if it isn't confirmed: the end of the host's
+// response window (the payment window for Instant Book), but never after
+// check-in
+module.exports.responseDeadline = (property, start, now = new Date()) => {
+  const hours =
+    property.bookingMode === "INSTANT"
+      ? PAYMENT_WINDOW_HOURS
+      : property.responseWindowHours || DEFAULT_RESPONSE_WINDOW_HOURS;
+  const deadline = new Date(now.getTime() + hours * HOUR_MS);
+  return deadline < start ? deadline : start;
+};
+
+// Expire every pending request past its deadline, releasing its dates and
+// any payment the guest authorized. Returns how many were expired.
+const expireBookingRequests = async () => {
+  const requests = await prisma.booking.findMany({
+    where: { status: "pending", responseDeadline: { lte: new Date() } },
+    select: { id: true, property: { select: { bookingMode: true } } },
+  });
+
+  let expired = 0;
+  for (const request of requests) {
+    try {
+      await transitionBooking(request.id, "expired", {
+        reason:
+          request.property.bookingMode === "INSTANT"
+            ? "The guest did not pay in time"
+            : "The host did not respond in time",
+      });
+      await settlePayment(request.id);
+      expired++;
+    } catch (error) {
+      // Answered or cancelled in the meantime
+      if (!(error instanceof BookingTransitionError)) throw error;
+    }
+  }
+
+  return expired;
+};
+
+module.exports.expireBookingRequests = expireBookingRequests;
+module.exports.BOOKING_MODES = BOOKING_MODES;
@@ -0,0 +1,212 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { calculateRefund } = require("./cancellation");
+
+const BOOKING_STATUSES = [
+  "pending",
+  "confirmed",
+  "cancelled",
+  "completed",
+  "expired",
+];
+
+const hasNotEnded = (booking, now) =>
+  now < booking.endDate ? null : "The booking has already ended";
+
+const hasEnded = (booking, now) =>
+  now >= booking.endDate
+    ? null
+    : "A booking can only be completed after its end date";
+
+const isPastDeadline = (booking, now) =>
+  booking.responseDeadline && now >= booking.responseDeadline;
+
+// Requests can only be accepted within the host's response window
+const canConfirm = (booking, now) =>
+  hasNotEnded(booking, now) ||
+  (isPastDeadline(booking, now)
+    ? "The response window for this request has closed"
+    : null);
+
+const canExpire = (booking, now) =>
+  isPastDeadline(booking, now)
+    ? null
+    : "The response window for this request is still open";
+
+// Every allowed status change, who may make it and an optional guard that
+// returns an error message when the change is not allowed right now.
+// Actors are "guest" (the booking's guest), "host" (the property's host),
+// "admin" and "system" (automated jobs).
+const TRANSITIONS = {
+  pending: {
+    confirmed: { actors: ["host", "admin", "system"], guard: canConfirm },
+    cancelled: { actors: ["guest", "host", "admin", "system"] },
+    expired: { actors: ["system"], guard: canExpire },
+  },
+  confirmed: {
+    cancelled: { actors: ["guest", "host", "admin"], guard: hasNotEnded },
+    completed: { actors: ["host", "admin", "system"], guard: hasEnded },
+  },
+  cancelled: {},
+  completed: {},
+  expired: {},
+};
+
+class BookingTransitionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Which actor the user is for a booking (with property.hostId loaded). An
+// admin's own bookings are theirs as a guest, so the cancellation policy
+// applies to them like anyone else.
+const bookingActor = (booking, user) => {
+  if (booking.guestId === user.id) return "guest";
+  if (user.role === "ADMIN") return "admin";
+  if (booking.property.hostId === user.id) return "host";
+  return null;
+};
+
+// Check a change is allowed for the user (null for the system) and return
+// the actor. Throws BookingTransitionError when it isn't. Lets callers
+// validate before side effects such as capturing a payment.
+const checkTransition = (booking, toStatus, user = null, now = new Date()) => {
+  const actor = user ? bookingActor(booking, user) : "system";
+
+  if (!actor) {
+    throw new BookingTransitionError(
+      "Not authorized to update this booking",
+      403,
+    );
+  }
+
+  const transition = TRANSITIONS[booking.status][toStatus];
+
+  if (!transition) {
+    throw new BookingTransitionError(
+      `Cannot change a ${booking.status} booking to ${toStatus}`,
+    );
+  }
+
+  if (!transition.actors.includes(actor)) {
+    throw new BookingTransitionError(
+      `Not allowed to change a ${booking.status} booking to ${toStatus}`,
+      403,
+    );
+  }
+
+  const guardError = transition.guard && transition.guard(booking, now);
+  if (guardError) {
+    throw new BookingTransitionError(guardError);
+  }
+
+  return actor;
+};
+
+// Move a booking to a new status and record it in the status history.
+// `user` is null for system changes. Extra booking fields can be updated in
+// the same write through `data`. Pass `tx` to run inside a transaction.
+// Throws BookingTransitionError when the change is not allowed.
+const transitionBooking = async (
+  bookingId,
+  toStatus,
+  { user = null, reason = null, data = {}, tx } = {},
+) => {
+  // Keep the status update and its history row in one transaction
+  if (!tx) {
+    return prisma.$transaction((t) =>
+      transitionBooking(bookingId, toStatus, { user, reason, data, tx: t }),
+    );
+  }
+
+  const booking = await tx.booking.findUnique({
+    where: { id: bookingId },
+    include: { property: { select: { hostId: true, title: true } } },
+  });
+
+  if (!booking) {
+    throw new BookingTransitionError("Booking not found", 404);
+  }
+
+  const actor = checkTransition(booking, toStatus, user);
+
+  // Guests are refunded by the booking's policy, anyone else in full. There
+  // is nothing to refund unless the payment was captured.
+  if (toStatus === "cancelled" && data.refundAmount === undefined) {
+    const captured = await tx.paymentIntent.findFirst({
+      where: { bookingId, status: "SUCCEEDED" },
+      select: { id: true },
+    });
+
+    data = {
+      ...data,
+      refundAmount: captured ? calculateRefund(booking, actor).refundAmount : 0,
+    };
+  }
+
+  // Conditional update so concurrent changes can't both apply
+  const { count } = await tx.booking.updateMany({
+    where: { id: bookingId, status: booking.status },
+    data: { ...data, status: toStatus },
+  });
+
+  if (count === 0) {
+    throw new BookingTransitionError(
+      "The booking was changed by someone else, please reload it",
+      409,
+    );
+  }
+
+  await tx.bookingStatusHistory.create({
+    data: {
+      bookingId,
+      fromStatus: booking.status,
+      toStatus,
+      changedById: user ? user.id : null,
+      reason,
+    },
+  });
+
+  return {
+    previous: booking,
+    booking: await tx.booking.findUnique({ where: { id: bookingId } }),
+  };
+};
+
+// Record the initial status of a newly created booking
+const recordInitialStatus = (bookingId, status, user, tx = prisma) =>
+  tx.bookingStatusHistory.create({
+    data: {
+      bookingId,
+      fromStatus: null,
+      toStatus: status,
+      changedById: user ? user.id : null,
+    },
+  });
+
+// Included with bookings so clients can show who changed what and when
+const statusHistoryInclude = {
+  orderBy: { createdAt: "asc" },
+  include: {
+    changedBy: {
+      select: {
+        id: true,
+        name: true,
+        role: true,
+      },
+    },
+  },
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  BookingTransitionError,
+  bookingActor,
+  checkTransition,
+  transitionBooking,
+  recordInitialStatus,
+  statusHistoryInclude,
+};
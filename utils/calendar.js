@@ -0,0 +1,175 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  ACTIVE_BOOKING_STATUSES,
+  BookingConflictError,
+  findConflictingBookings,
+  lockProperty,
+} = require("./availability");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const HOUR_MS = 1000 * 60 * 60;
+
+class CalendarError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// First day of a "YYYY-MM" month (UTC), or of the current month
+const parseMonth = (month) => {
+  if (!month) {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  const match = /^(\d{4})-(\d{2})$/.exec(month);
+  if (!match || match[2] < 1 || match[2] > 12) {
+    throw new CalendarError("Month must be in YYYY-MM format");
+  }
+
+  return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, 1));
+};
+
+const covers = (range, day) => range.startDate <= day && range.endDate > day;
+
+// Why a night can't be booked because of the property's settings, or null
+const restriction = (property, day, now) => {
+  if (day.getTime() + DAY_MS <= now.getTime()) return "In the past";
+  if (!property.isAvailable) return "Property is not available";
+  if (property.availableFrom && day < property.availableFrom) {
+    return "Before the property's available range";
+  }
+  if (property.availableTo && day.getTime() + DAY_MS > property.availableTo) {
+    return "After the property's available range";
+  }
+  if (
+    property.advanceNoticeHours &&
+    day - now < property.advanceNoticeHours * HOUR_MS
+  ) {
+    return `Requires ${property.advanceNoticeHours} hours notice`;
+  }
+  if (
+    property.bookingWindowDays &&
+    day - now > property.bookingWindowDays * DAY_MS
+  ) {
+    return `Beyond the ${property.bookingWindowDays} day booking window`;
+  }
+  return null;
+};
+
+// Per-day grid for a month. Each day is the night starting on it and is
+// "available", "booked", "blocked" or "restricted" (with a reason), along
+// with whether check-in and check-out are allowed that weekday. Stay length
+// rules depend on the selection, so they are returned once for the month.
+module.exports.monthCalendar = async (property, month, now = new Date()) => {
+  const monthStart = parseMonth(month);
+  const monthEnd = new Date(
+    Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1),
+  );
+  const buffer = (property.bufferDays || 0) * DAY_MS;
+
+  const [bookings, blocks] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        propertyId: property.id,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        startDate: { lt: new Date(monthEnd.getTime() + buffer) },
+        endDate: { gt: new Date(monthStart.getTime() - buffer) },
+      },
+      select: { startDate: true, endDate: true },
+    }),
+    prisma.calendarBlock.findMany({
+      where: {
+        propertyId: property.id,
+        startDate: { lt: monthEnd },
+        endDate: { gt: monthStart },
+      },
+      select: { startDate: true, endDate: true },
+    }),
+  ]);
+
+  // Bookings widened by the preparation buffer around them
+  const buffered = bookings.map((booking) => ({
+    startDate: new Date(booking.startDate.getTime() - buffer),
+    endDate: new Date(booking.endDate.getTime() + buffer),
+  }));
+
+  const days = [];
+  for (
+    let day = monthStart;
+    day < monthEnd;
+    day = new Date(day.getTime() + DAY_MS)
+  ) {
+    let status = "available";
+    let reason = restriction(property, day, now);
+
+    if (blocks.some((block) => covers(block, day))) {
+      status = "blocked";
+      reason = null;
+    } else if (bookings.some((booking) => covers(booking, day))) {
+      status = "booked";
+      reason = null;
+    } else if (reason) {
+      status = "restricted";
+    } else if (buffered.some((booking) => covers(booking, day))) {
+      status = "restricted";
+      reason = "Preparation time between stays";
+    }
+
+    const weekday = day.getUTCDay();
+    days.push({
+      date: day.toISOString().split("T")[0],
+      status,
+      reason,
+      checkIn:
+        status === "available" &&
+        (!property.checkInDays || property.checkInDays.includes(weekday)),
+      checkOut:
+        !property.checkOutDays || property.checkOutDays.includes(weekday),
+    });
+  }
+
+  return {
+    month: monthStart.toISOString().slice(0, 7),
+    rules: {
+      minNights: property.minNights,
+      maxNights: property.maxNights,
+      checkInDays: property.checkInDays,
+      checkOutDays: property.checkOutDays,
+    },
+    days,
+  };
+};
+
+// Block a date range on a property. Fails with BookingConflictError when it
+// overlaps an active booking; the property lock keeps bookings from being
+// created in between.
+module.exports.createBlock = (property, { start, end, note }, userId) =>
+  prisma.$transaction(async (tx) => {
+    await lockProperty(tx, property.id);
+
+    const conflicts = await findConflictingBookings(
+      { id: property.id },
+      start,
+      end,
+      tx,
+    );
+
+    if (conflicts.length > 0) {
+      throw new BookingConflictError(conflicts);
+    }
+
+    return tx.calendarBlock.create({
+      data: {
+        propertyId: property.id,
+        startDate: start,
+        endDate: end,
+        note,
+        createdById: userId,
+      },
+    });
+  });
+
+module.exports.CalendarError = CalendarError;
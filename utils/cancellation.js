@@ -0,0 +1,106 @@
+const { Prisma } = require("@prisma/client");
+
+const HOUR_MS = 1000 * 60 * 60;
+
+// Refund tiers for each built-in policy. A guest cancelling at least
+// `hoursBefore` hours before check-in gets `refundPercent` of the total
+// price back; the first matching tier wins and no match means no refund.
+const POLICY_TIERS = {
+  FLEXIBLE: [{ hoursBefore: 24, refundPercent: 100 }],
+  MODERATE: [
+    { hoursBefore: 24 * 5, refundPercent: 100 },
+    { hoursBefore: 24, refundPercent: 50 },
+  ],
+  STRICT: [
+    { hoursBefore: 24 * 14, refundPercent: 100 },
+    { hoursBefore: 24 * 7, refundPercent: 50 },
+  ],
+  NON_REFUNDABLE: [],
+};
+
+const CANCELLATION_POLICIES = [...Object.keys(POLICY_TIERS), "CUSTOM"];
+
+// Highest notice first so the first matching tier is the best one
+const sortTiers = (tiers) =>
+  [...tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+// Returns an error message, or null if the policy and custom tiers are valid
+module.exports.validateCancellationPolicy = (policy, tiers) => {
+  if (!CANCELLATION_POLICIES.includes(policy)) {
+    return `Cancellation policy must be one of: ${CANCELLATION_POLICIES.join(
+      ", ",
+    )}`;
+  }
+
+  if (policy !== "CUSTOM") return null;
+
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > 10) {
+    return "Custom cancellation policies need between 1 and 10 tiers";
+  }
+
+  const invalid = tiers.some(
+    (tier) =>
+      !tier ||
+      !Number.isInteger(tier.hoursBefore) ||
+      tier.hoursBefore < 0 ||
+      !Number.isInteger(tier.refundPercent) ||
+      tier.refundPercent < 0 ||
+      tier.refundPercent > 100,
+  );
+
+  if (invalid) {
+    return "Each tier needs a whole hoursBefore of at least 0 and a refundPercent between 0 and 100";
+  }
+
+  return null;
+};
+
+// Property data for a validated policy; custom tiers are only kept for CUSTOM
+module.exports.pickCancellationPolicy = (policy, tiers) => ({
+  cancellationPolicy: policy,
+  cancellationTiers:
+    policy === "CUSTOM"
+      ? sortTiers(tiers).map(({ hoursBefore, refundPercent }) => ({
+          hoursBefore,
+          refundPercent,
+        }))
+      : Prisma.DbNull,
+});
+
+// The policy and its tiers, as shown on property details and snapshotted
+// onto bookings so later policy changes don't affect existing bookings
+const describePolicy = (property) => {
+  const policy = property.cancellationPolicy || "FLEXIBLE";
+
+  return {
+    policy,
+    tiers:
+      policy === "CUSTOM"
+        ? sortTiers(property.cancellationTiers || [])
+        : POLICY_TIERS[policy],
+  };
+};
+
+// Refund for cancelling a booking. Cancellations by the guest follow the
+// booking's policy snapshot; the host, admins and the system always refund
+// in full.
+module.exports.calculateRefund = (booking, actor, now = new Date()) => {
+  const totalPrice = new Prisma.Decimal(booking.totalPrice);
+
+  if (actor !== "guest") {
+    return { refundPercent: 100, refundAmount: totalPrice };
+  }
+
+  const { tiers } = booking.cancellationPolicy || describePolicy({});
+  const hoursBefore = (booking.startDate - now) / HOUR_MS;
+  const tier = sortTiers(tiers).find((t) => hoursBefore >= t.hoursBefore);
+  const refundPercent = tier ? tier.refundPercent : 0;
+
+  return {
+    refundPercent,
+    refundAmount: totalPrice.times(refundPercent).div(100).toDecimalPlaces(2),
+  };
+};
+
+module.exports.describePolicy = describePolicy;
+module.exports.CANCELLATION_POLICIES = CANCELLATION_POLICIES;
@@ -0,0 +1,444 @@
+const path = require("path");
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { getSetting } = require("./settings");
+const { RefundError, recordRefund } = require("./refunds");
+const { bookingActor } = require("./bookingStatus");
+
+const { Decimal } = Prisma;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MAX_EVIDENCE_FILES = 5;
+// Outside the public uploads directory: evidence is only served to the
+// booking's guest and host and to admins, see evidenceFile
+const EVIDENCE_DIR = path.join(__dirname, "../storage/claims");
+
+class DepositError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Booking include for the deposit and its claims
+const depositInclude = {
+  deposit: {
+    include: { claims: { orderBy: { createdAt: "asc" } } },
+  },
+};
+
+const capturedPayment = (bookingId) =>
+  prisma.paymentIntent.findFirst({
+    where: { bookingId, status: { in: ["SUCCEEDED", "REFUNDED"] } },
+  });
+
+// Start holding a booking's security deposit once its payment is captured.
+// Held until depositHoldDays after check-out.
+const holdDeposit = async (booking) => {
+  if (!booking.depositAmount || new Decimal(booking.depositAmount).lte(0)) {
+    return null;
+  }
+
+  const holdDays = await getSetting("depositHoldDays");
+
+  try {
+    return await prisma.securityDeposit.create({
+      data: {
+        bookingId: booking.id,
+        amount: booking.depositAmount,
+        releaseAt: new Date(booking.endDate.getTime() + holdDays * DAY_MS),
+      },
+    });
+  } catch (error) {
+    // Already held
+    if (error.code !== "P2002") throw error;
+    return null;
+  }
+};
+
+// Return `amount` of a deposit to the guest through the refund ledger
+const returnToGuest = async (deposit, amount, reason) => {
+  if (new Decimal(amount).lte(0)) return;
+
+  const intent = await capturedPayment(deposit.bookingId);
+  if (!intent) {
+    throw new DepositError("The booking has no captured payment");
+  }
+
+  await recordRefund(intent, { amount, type: "DEPOSIT", reason });
+
+  await prisma.securityDeposit.update({
+    where: { id: deposit.id },
+    data: { releasedAmount: amount },
+  });
+};
+
+// Return what is left of a settled deposit after the host's award
+const returnRest = (deposit) =>
+  returnToGuest(
+    deposit,
+    new Decimal(deposit.amount).sub(deposit.withheldAmount || 0),
+    "Rest of the security deposit after a claim",
+  );
+
+// Return a held deposit to the guest in full. Does nothing if it has been
+// claimed or returned already.
+const releaseDeposit = async (bookingId, reason) => {
+  const deposit = await prisma.securityDeposit.findUnique({
+    where: { bookingId },
+  });
+  if (!deposit) return false;
+
+  // Conditional update so a claim filed at the same time wins or loses
+  // cleanly
+  const { count } = await prisma.securityDeposit.updateMany({
+    where: { id: deposit.id, status: "HELD" },
+    data: { status: "RELEASED", settledAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  try {
+    await returnToGuest(deposit, deposit.amount, reason);
+  } catch (error) {
+    // Hold it again so the next run retries
+    await prisma.securityDeposit.update({
+      where: { id: deposit.id },
+      data: { status: "HELD", settledAt: null },
+    });
+    throw error;
+  }
+
+  return true;
+};
+
+// Return deposits whose hold has ended without a claim. Returns how many
+// were returned.
+const releaseDueDeposits = async () => {
+  const deposits = await prisma.securityDeposit.findMany({
+    where: { status: "HELD", releaseAt: { lte: new Date() } },
+    select: { bookingId: true },
+  });
+
+  let released = 0;
+  for (const deposit of deposits) {
+    try {
+      if (
+        await releaseDeposit(deposit.bookingId, "Security deposit returned")
+      ) {
+        released++;
+      }
+    } catch (error) {
+      // Left held and retried on the next run
+      if (!(error instanceof RefundError)) throw error;
+      console.error(
+        `Error returning deposit for booking ${deposit.bookingId}:`,
+        error,
+      );
+    }
+  }
+
+  return released;
+};
+
+// Host claims part or all of a held deposit, with a description and
+// evidence files, between check-in and the end of the hold
+const fileClaim = async (
+  bookingId,
+  user,
+  { amount, description, evidence },
+) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: {
+      property: { select: { hostId: true } },
+      deposit: true,
+    },
+  });
+
+  if (!booking) {
+    throw new DepositError("Booking not found", 404);
+  }
+
+  if (booking.property.hostId !== user.id) {
+    throw new DepositError("Not authorized to claim this deposit", 403);
+  }
+
+  const { deposit } = booking;
+  if (!deposit || deposit.status !== "HELD") {
+    throw new DepositError("There is no held deposit to claim");
+  }
+
+  const now = new Date();
+  if (now < booking.startDate) {
+    throw new DepositError("Claims can only be filed after check-in");
+  }
+  if (now >= deposit.releaseAt) {
+    throw new DepositError("The deposit hold has ended");
+  }
+
+  if (!description || !String(description).trim()) {
+    throw new DepositError("A description of the claim is required");
+  }
+
+  if (!Array.isArray(evidence) || evidence.length === 0) {
+    throw new DepositError("At least one evidence file is required");
+  }
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new DepositError("Claim amount must be a positive number");
+  }
+
+  const claimAmount = new Decimal(amount).toDecimalPlaces(2);
+  if (claimAmount.gt(deposit.amount)) {
+    throw new DepositError(
+      `Claim amount can't be more than the ${deposit.amount} deposit`,
+    );
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.securityDeposit.updateMany({
+      where: { id: deposit.id, status: "HELD" },
+      data: { status: "CLAIMED" },
+    });
+
+    if (count === 0) {
+      throw new DepositError("The deposit was changed, please reload it", 409);
+    }
+
+    return tx.depositClaim.create({
+      data: {
+        depositId: deposit.id,
+        hostId: user.id,
+        amount: claimAmount,
+        description: String(description).trim(),
+        evidence,
+      },
+    });
+  });
+};
+
+// Close a claim: `awarded` is paid out to the host and the rest of the
+// deposit returned to the guest
+const settleClaim = async (claim, awarded, data) => {
+  const deposit = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.depositClaim.updateMany({
+      where: { id: claim.id, status: claim.status },
+      data: { ...data, awardedAmount: awarded },
+    });
+
+    if (count === 0) {
+      throw new DepositError("The claim was changed, please reload it", 409);
+    }
+
+    const settled = await tx.securityDeposit.update({
+      where: { id: claim.depositId },
+      data: {
+        status: "SETTLED",
+        withheldAmount: awarded,
+        settledAt: new Date(),
+      },
+    });
+
+    // Released with the host's other payouts. No commission is taken.
+    if (awarded.gt(0)) {
+      await tx.payout.create({
+        data: {
+          hostId: claim.hostId,
+          bookingId: settled.bookingId,
+          type: "DEPOSIT_CLAIM",
+          grossAmount: awarded,
+          serviceFee: 0,
+          commissionPercent: 0,
+          commission: 0,
+          amount: awarded,
+          releaseAt: new Date(),
+        },
+      });
+    }
+
+    return settled;
+  });
+
+  try {
+    await returnRest(deposit);
+  } catch (error) {
+    // The claim stands; the return is retried by retryDepositReturns
+    if (!(error instanceof RefundError)) throw error;
+    console.error(`Error returning deposit ${deposit.id}:`, error);
+    await prisma.securityDeposit.update({
+      where: { id: deposit.id },
+      data: { returnError: String(error.message).slice(0, 191) },
+    });
+  }
+
+  return prisma.depositClaim.findUnique({ where: { id: claim.id } });
+};
+
+// Return settled deposits whose rest couldn't be returned after the claim.
+// Returns how many were returned.
+const retryDepositReturns = async () => {
+  const deposits = await prisma.securityDeposit.findMany({
+    where: { status: "SETTLED", returnError: { not: null } },
+  });
+
+  let returned = 0;
+  for (const deposit of deposits) {
+    // Conditional update so concurrent runs don't both return it
+    const { count } = await prisma.securityDeposit.updateMany({
+      where: { id: deposit.id, returnError: deposit.returnError },
+      data: { returnError: null },
+    });
+    if (count === 0) continue;
+
+    try {
+      await returnRest(deposit);
+      returned++;
+    } catch (error) {
+      // Left for the next run
+      await prisma.securityDeposit.update({
+        where: { id: deposit.id },
+        data: { returnError: String(error.message).slice(0, 191) },
+      });
+      if (!(error instanceof RefundError)) throw error;
+      console.error(`Error returning deposit ${deposit.id}:`, error);
+    }
+  }
+
+  return returned;
+};
+
+// Return deposits that are due and retry failed returns after claims.
+// Returns how many were returned.
+const processDeposits = async () =>
+  (await retryDepositReturns()) + (await releaseDueDeposits());
+
+const findClaim = async (claimId) => {
+  const claim = await prisma.depositClaim.findUnique({
+    where: { id: claimId },
+    include: { deposit: { include: { booking: true } } },
+  });
+
+  if (!claim) {
+    throw new DepositError("Claim not found", 404);
+  }
+
+  return claim;
+};
+
+// Guest accepts a claim, which settles it, or disputes it for an admin to
+// decide
+const respondToClaim = async (claimId, user, { accept, response }) => {
+  const claim = await findClaim(claimId);
+
+  if (claim.deposit.booking.guestId !== user.id) {
+    throw new DepositError("Not authorized to respond to this claim", 403);
+  }
+
+  if (claim.status !== "OPEN") {
+    throw new DepositError("This claim has already been answered");
+  }
+
+  const guestResponse = response ? String(response).trim() : null;
+
+  if (accept) {
+    return settleClaim(claim, new Decimal(claim.amount), {
+      status: "ACCEPTED",
+      guestResponse,
+    });
+  }
+
+  if (!guestResponse) {
+    throw new DepositError("Please explain why you dispute the claim");
+  }
+
+  const { count } = await prisma.depositClaim.updateMany({
+    where: { id: claim.id, status: "OPEN" },
+    data: { status: "DISPUTED", guestResponse },
+  });
+
+  if (count === 0) {
+    throw new DepositError("The claim was changed, please reload it", 409);
+  }
+
+  return prisma.depositClaim.findUnique({ where: { id: claim.id } });
+};
+
+// Admin decides a disputed (or unanswered) claim, awarding the host up to
+// the claimed amount
+const resolveClaim = async (claimId, user, { awardedAmount, note }) => {
+  const claim = await findClaim(claimId);
+
+  if (!["OPEN", "DISPUTED"].includes(claim.status)) {
+    throw new DepositError("This claim has already been settled");
+  }
+
+  const value = Number(awardedAmount);
+  if (
+    awardedAmount === undefined ||
+    awardedAmount === null ||
+    !Number.isFinite(value) ||
+    value < 0
+  ) {
+    throw new DepositError("awardedAmount must be zero or a positive number");
+  }
+
+  const awarded = new Decimal(awardedAmount).toDecimalPlaces(2);
+  if (awarded.gt(claim.amount)) {
+    throw new DepositError("Can't award more than the host claimed");
+  }
+
+  return settleClaim(claim, awarded, {
+    status: "RESOLVED",
+    resolvedById: user.id,
+    resolutionNote: note ? String(note).trim() : null,
+    resolvedAt: new Date(),
+  });
+};
+
+// Path of a claim's evidence file, for the booking's guest, its host or an
+// admin. `index` is the file's position in the claim's evidence list.
+const evidenceFile = async (claimId, index, user) => {
+  const claim = await prisma.depositClaim.findUnique({
+    where: { id: claimId },
+    include: {
+      deposit: {
+        include: {
+          booking: {
+            select: { guestId: true, property: { select: { hostId: true } } },
+          },
+        },
+      },
+    },
+  });
+
+  if (!claim) {
+    throw new DepositError("Claim not found", 404);
+  }
+
+  if (!bookingActor(claim.deposit.booking, user)) {
+    throw new DepositError("Not authorized to view this claim", 403);
+  }
+
+  const evidence = Array.isArray(claim.evidence) ? claim.evidence : [];
+  if (!Number.isInteger(index) || !evidence[index]) {
+    throw new DepositError("Evidence file not found", 404);
+  }
+
+  return path.join(EVIDENCE_DIR, path.basename(evidence[index]));
+};
+
+module.exports = {
+  MAX_EVIDENCE_FILES,
+  EVIDENCE_DIR,
+  DepositError,
+  depositInclude,
+  holdDeposit,
+  releaseDeposit,
+  releaseDueDeposits,
+  retryDepositReturns,
+  processDeposits,
+  fileClaim,
+  respondToClaim,
+  resolveClaim,
+  evidenceFile,
+};
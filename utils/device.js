@@ -0,0 +1,31 @@
+// Rough browser and OS detection, good enough to tell sessions apart
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+module.exports.describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
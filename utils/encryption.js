@@ -1,4 +1,5 @@
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 
 const SALT_ROUNDS = 12;
 
@@ -13,3 +14,42 @@ module.exports.verifyPassword = async (password, hashedPassword) => {
 module.exports.generateSecureToken = () => {
   return require("randomstring").generate(64);
 };
+
+// Tokens are looked up by hash, so a fast deterministic digest is used instead of bcrypt
+module.exports.hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// AES-256-GCM for secrets that have to be read back, e.g. TOTP secrets.
+// Output is "<iv>.<auth tag>.<ciphertext>", each base64url encoded.
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.ENCRYPTION_KEY || process.env.SESSION_SECRET)
+    .digest();
+
+module.exports.encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+module.exports.decrypt = (encrypted) => {
+  const [iv, authTag, ciphertext] = encrypted
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+};
@@ -0,0 +1,440 @@
+const fs = require("fs/promises");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { fileURLToPath } = require("url");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { ACTIVE_BOOKING_STATUSES } = require("./availability");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const FETCH_TIMEOUT = 1000 * 15;
+const MAX_FEED_SIZE = 1024 * 1024 * 2; // 2MB
+const MAX_REDIRECTS = 5;
+
+// Local files can only be imported when explicitly allowed, for tests
+const allowFileUrls = () => process.env.ICAL_ALLOW_FILE_URLS === "true";
+
+// Feeds can't point at the server's own network
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(address, prefix, "ipv6");
+}
+
+// Feed errors that are safe to show to the host. Anything else is reported
+// as a generic import failure.
+class FeedError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Returns an error message, or null if the feed URL can be imported
+module.exports.validateFeedUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "Invalid calendar URL";
+  }
+
+  if (["http:", "https:"].includes(parsed.protocol)) return null;
+  if (parsed.protocol === "file:" && allowFileUrls()) return null;
+
+  return "Calendar URL must use http or https";
+};
+
+// Export
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+const formatDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const escapeText = (text) =>
+  text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let rest = Buffer.from(line);
+
+  while (rest.length > 75) {
+    let cut = 75;
+    // Don't split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut--;
+    parts.push(rest.subarray(0, cut).toString());
+    rest = Buffer.concat([Buffer.from(" "), rest.subarray(cut)]);
+  }
+  parts.push(rest.toString());
+
+  return parts.join("\r\n");
+};
+
+const event = (uid, start, end, summary, stamp) => [
+  "BEGIN:VEVENT",
+  `UID:${uid}`,
+  `DTSTAMP:${formatDateTime(stamp)}`,
+  `DTSTART;VALUE=DATE:${formatDate(start)}`,
+  `DTEND;VALUE=DATE:${formatDate(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  "END:VEVENT",
+];
+
+// Calendar of a property's active bookings and host blocks as all-day
+// events. Guest details are left out since the feed is shared with other
+// platforms. Imported blocks are left out too, so calendars synced both
+// ways don't echo each other's events back.
+module.exports.propertyCalendarIcs = async (property, host) => {
+  const now = new Date();
+  const since = new Date(now.getTime() - DAY_MS * 30);
+
+  const [bookings, blocks] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        propertyId: property.id,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        endDate: { gt: since },
+      },
+      select: { id: true, startDate: true, endDate: true, status: true },
+    }),
+    prisma.calendarBlock.findMany({
+      where: {
+        propertyId: property.id,
+        source: "MANUAL",
+        endDate: { gt: since },
+      },
+      select: { id: true, startDate: true, endDate: true },
+    }),
+  ]);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Rental Server//Property Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(property.title)}`,
+  ];
+
+  for (const booking of bookings) {
+    lines.push(
+      ...event(
+        `booking-${booking.id}@${host}`,
+        booking.startDate,
+        booking.endDate,
+        booking.status === "pending" ? "Reserved (pending)" : "Reserved",
+        now,
+      ),
+    );
+  }
+
+  for (const block of blocks) {
+    lines.push(
+      ...event(
+        `block-${block.id}@${host}`,
+        block.startDate,
+        block.endDate,
+        "Not available",
+        now,
+      ),
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// Import
+
+// DATE (20250101) or DATE-TIME (20250101T120000Z) values. Times without a
+// UTC "Z" are treated as UTC; only the day matters for blocks.
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    value.trim(),
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// Midnight UTC of the day a date falls on
+const startOfDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+
+// Whole days covered by an event, as [start, end) at UTC midnight
+const toDayRange = (start, end) => {
+  const startDay = startOfDay(start);
+  let endDay = startOfDay(end);
+  if (endDay < end) endDay = new Date(endDay.getTime() + DAY_MS);
+  if (endDay <= startDay) endDay = new Date(startDay.getTime() + DAY_MS);
+  return { start: startDay, end: endDay };
+};
+
+// Events from an iCalendar document. Cancelled events and events without
+// a start are skipped; a missing end means a single day.
+const parseIcs = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+
+    if (line === "END:VEVENT") {
+      if (current && current.start && current.status !== "CANCELLED") {
+        const range = toDayRange(
+          current.start,
+          current.end || new Date(current.start.getTime() + DAY_MS),
+        );
+        events.push({
+          uid: current.uid || null,
+          summary: current.summary || null,
+          ...range,
+        });
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current) continue;
+
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const name = line.slice(0, separator).split(";")[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === "UID") current.uid = value;
+    if (name === "SUMMARY") current.summary = value.replace(/\\(.)/g, "$1");
+    if (name === "STATUS") current.status = value.toUpperCase();
+    if (name === "DTSTART") current.start = parseIcsDate(value);
+    if (name === "DTEND") current.end = parseIcsDate(value);
+  }
+
+  return events;
+};
+
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blockedAddresses.check(mapped[1], "ipv4");
+  return blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+const privateAddressError = (hostname) =>
+  new Error(`${hostname} resolves to a private address`);
+
+// dns.lookup that refuses private addresses. Passed to the connection as
+// its lookup, so the address that was checked is the one connected to and
+// a second resolution can't point the request elsewhere.
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((a) => isBlockedAddress(a.address))) {
+      return callback(privateAddressError(hostname));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const readFeedFile = async (url) => {
+  const path = fileURLToPath(url);
+  const { size } = await fs.stat(path);
+  if (size > MAX_FEED_SIZE) {
+    throw new FeedError("Calendar is too large");
+  }
+
+  return fs.readFile(path, "utf8");
+};
+
+// GET a URL, resolving with the response once its headers arrive
+const request = (url, signal) =>
+  new Promise((resolve, reject) => {
+    // IP addresses aren't looked up, so check them here
+    const hostname = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+      throw privateAddressError(hostname);
+    }
+
+    const client = url.protocol === "https:" ? https : http;
+    client
+      .get(
+        url,
+        {
+          headers: { Accept: "text/calendar" },
+          lookup: safeLookup,
+          // A fresh connection, rather than one that may not have been checked
+          agent: false,
+          signal,
+        },
+        resolve,
+      )
+      .on("error", reject);
+  });
+
+// Read a response body, giving up once it passes MAX_FEED_SIZE
+const readLimited = async (response) => {
+  if (Number(response.headers["content-length"]) > MAX_FEED_SIZE) {
+    response.destroy();
+    throw new FeedError("Calendar is too large");
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_FEED_SIZE) {
+      response.destroy();
+      throw new FeedError("Calendar is too large");
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+// Fetch a feed, following redirects by hand so every hop is checked
+const fetchIcs = async (feedUrl) => {
+  let url = new URL(feedUrl);
+
+  if (url.protocol === "file:" && allowFileUrls()) {
+    return readFeedFile(url);
+  }
+
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error(`Unsupported calendar URL protocol ${url.protocol}`);
+    }
+
+    const response = await request(url, signal);
+    const { statusCode } = response;
+    const { location } = response.headers;
+
+    if (statusCode >= 300 && statusCode < 400 && location) {
+      response.resume();
+      url = new URL(location, url);
+      continue;
+    }
+
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      throw new Error(`Calendar request failed with status ${statusCode}`);
+    }
+
+    return readLimited(response);
+  }
+
+  throw new Error("Too many redirects");
+};
+
+// Replace a feed's blocks with the events currently in it. Failures are
+// recorded on the feed and its existing blocks are kept.
+const syncFeed = async (feed) => {
+  try {
+    const text = await fetchIcs(feed.url);
+
+    if (!text.includes("BEGIN:VCALENDAR")) {
+      throw new FeedError("Not an iCalendar document");
+    }
+
+    const now = new Date();
+    const events = parseIcs(text).filter((e) => e.end > now);
+
+    await prisma.$transaction([
+      prisma.calendarBlock.deleteMany({ where: { feedId: feed.id } }),
+      prisma.calendarBlock.createMany({
+        data: events.map((e) => ({
+          propertyId: feed.propertyId,
+          startDate: e.start,
+          endDate: e.end,
+          note: e.summary ? e.summary.slice(0, 191) : feed.name,
+          source: "ICAL",
+          feedId: feed.id,
+          externalUid: e.uid ? e.uid.slice(0, 191) : null,
+        })),
+      }),
+      prisma.icalFeed.update({
+        where: { id: feed.id },
+        data: { lastSyncedAt: now, lastError: null },
+      }),
+    ]);
+
+    return { imported: events.length, error: null };
+  } catch (error) {
+    console.error(`Error importing calendar feed ${feed.id}:`, error);
+
+    // Network errors and upstream responses aren't shown to the host
+    const message =
+      error instanceof FeedError ? error.message : "Could not import calendar";
+
+    await prisma.icalFeed.update({
+      where: { id: feed.id },
+      data: { lastError: message },
+    });
+
+    return { imported: 0, error: message };
+  }
+};
+
+// Import every registered feed, one after another. Returns how many were
+// imported successfully.
+const syncAllFeeds = async () => {
+  const feeds = await prisma.icalFeed.findMany();
+  let synced = 0;
+
+  for (const feed of feeds) {
+    // Failures are logged by syncFeed
+    const result = await syncFeed(feed);
+    if (!result.error) synced++;
+  }
+
+  return synced;
+};
+
+module.exports.parseIcs = parseIcs;
+module.exports.foldLine = foldLine;
+module.exports.isBlockedAddress = isBlockedAddress;
+module.exports.safeLookup = safeLookup;
+module.exports.fetchIcs = fetchIcs;
+module.exports.syncFeed = syncFeed;
+module.exports.syncAllFeeds = syncAllFeeds;
@@ -0,0 +1,95 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  BookingTransitionError,
+  transitionBooking,
+} = require("./bookingStatus");
+const { expireBookingRequests } = require("./bookingRequests");
+const { syncAllFeeds } = require("./ical");
+const { processPayouts } = require("./payouts");
+const { processDeposits } = require("./deposits");
+const { retryUnsettledPayments } = require("./payments");
+
+const MINUTE_MS = 1000 * 60;
+
+// Confirmed bookings whose stay has ended become completed, so guests can
+// review them. Returns how many were completed.
+const completeEndedBookings = async () => {
+  const bookings = await prisma.booking.findMany({
+    where: { status: "confirmed", endDate: { lte: new Date() } },
+    select: { id: true },
+  });
+
+  let completed = 0;
+  for (const booking of bookings) {
+    try {
+      await transitionBooking(booking.id, "completed", {
+        reason: "The stay has ended",
+      });
+      completed++;
+    } catch (error) {
+      // Changed in the meantime
+      if (!(error instanceof BookingTransitionError)) throw error;
+    }
+  }
+
+  return completed;
+};
+
+// Confirmed bookings still unpaid at check-in are marked overdue. Returns
+// how many were marked.
+const markOverduePayments = async () => {
+  const { count } = await prisma.booking.updateMany({
+    where: {
+      status: "confirmed",
+      paymentStatus: "unpaid",
+      startDate: { lte: new Date() },
+    },
+    data: { paymentStatus: "overdue" },
+  });
+
+  return count;
+};
+
+// Lifecycle jobs run by the scheduler. Each run must be safe to repeat: it
+// only acts on records still in the state it is looking for.
+module.exports.JOBS = {
+  "complete-bookings": {
+    description: "Complete confirmed bookings after their end date",
+    interval: 15 * MINUTE_MS,
+    run: completeEndedBookings,
+  },
+  "expire-requests": {
+    description: "Expire booking requests past their response deadline",
+    interval: MINUTE_MS,
+    run: expireBookingRequests,
+  },
+  "overdue-payments": {
+    description: "Mark confirmed bookings unpaid at check-in as overdue",
+    interval: 15 * MINUTE_MS,
+    run: markOverduePayments,
+  },
+  "settle-payments": {
+    description:
+      "Retry voiding or refunding payments of cancelled and expired bookings",
+    interval: 15 * MINUTE_MS,
+    run: retryUnsettledPayments,
+  },
+  payouts: {
+    description: "Schedule host payouts and release the ones that are due",
+    interval: 60 * MINUTE_MS,
+    run: processPayouts,
+  },
+  "release-deposits": {
+    description:
+      "Return security deposits whose hold ended and retry failed returns",
+    interval: 60 * MINUTE_MS,
+    run: processDeposits,
+  },
+  "ical-sync": {
+    description: "Import external property calendars",
+    interval:
+      MINUTE_MS * (parseInt(process.env.ICAL_SYNC_INTERVAL_MINUTES) || 60),
+    run: syncAllFeeds,
+  },
+};
@@ -0,0 +1,111 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+// Failures allowed before a lockout starts
+const MAX_ACCOUNT_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+
+// The first lockout lasts BASE_LOCKOUT and doubles with every further failure
+const BASE_LOCKOUT = 1000 * 60;
+const MAX_LOCKOUT = 1000 * 60 * 60 * 24;
+
+// Failures older than this are forgotten once any lockout has expired
+const FAILURE_WINDOW = 1000 * 60 * 60;
+
+const accountKey = (email) => `email:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const lockoutDuration = (failures, maxFailures) => {
+  const exponent = failures - maxFailures;
+  return Math.min(BASE_LOCKOUT * 2 ** exponent, MAX_LOCKOUT);
+};
+
+// Count a failure with an atomic increment so parallel attempts can't read
+// the same count and slip past the limit
+const recordKeyFailure = async (key, maxFailures, now) => {
+  // Forget old failures once any lockout has expired
+  await prisma.loginThrottle.updateMany({
+    where: {
+      key,
+      lastFailureAt: { lt: new Date(now.getTime() - FAILURE_WINDOW) },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
+    },
+    data: { failures: 0, lockedUntil: null },
+  });
+
+  let throttle;
+  try {
+    throttle = await prisma.loginThrottle.upsert({
+      where: { key },
+      create: { key, failures: 1, lastFailureAt: now },
+      update: { failures: { increment: 1 }, lastFailureAt: now },
+    });
+  } catch (error) {
+    // Another request created the row first
+    if (error.code !== "P2002") throw error;
+    throttle = await prisma.loginThrottle.update({
+      where: { key },
+      data: { failures: { increment: 1 }, lastFailureAt: now },
+    });
+  }
+
+  if (throttle.failures < maxFailures) return throttle;
+
+  // Only the latest failure sets the lockout, so a slower request can't
+  // shorten it
+  const lockedUntil = new Date(
+    now.getTime() + lockoutDuration(throttle.failures, maxFailures),
+  );
+  await prisma.loginThrottle.updateMany({
+    where: { key, failures: throttle.failures },
+    data: { lockedUntil },
+  });
+
+  return { ...throttle, lockedUntil };
+};
+
+// Latest lockout expiry for the account or the IP, or null if neither is locked.
+// Accounts are tracked by email so unknown emails lock the same way as real ones.
+module.exports.getLockout = async (email, ip) => {
+  const throttles = await prisma.loginThrottle.findMany({
+    where: {
+      key: { in: [accountKey(email), ipKey(ip)] },
+      lockedUntil: { gt: new Date() },
+    },
+  });
+
+  if (throttles.length === 0) return null;
+
+  return new Date(
+    Math.max(...throttles.map((throttle) => throttle.lockedUntil.getTime())),
+  );
+};
+
+module.exports.recordFailure = async (email, ip) => {
+  const now = new Date();
+
+  await Promise.all([
+    recordKeyFailure(accountKey(email), MAX_ACCOUNT_FAILURES, now),
+    recordKeyFailure(ipKey(ip), MAX_IP_FAILURES, now),
+  ]);
+};
+
+// A successful login resets the account counter but not the IP counter,
+// otherwise one valid account could be used to keep guessing others
+module.exports.clearFailures = async (email) => {
+  await prisma.loginThrottle.deleteMany({ where: { key: accountKey(email) } });
+};
+
+module.exports.unlockAccount = async (email) => {
+  const { count } = await prisma.loginThrottle.deleteMany({
+    where: { key: accountKey(email) },
+  });
+  return count > 0;
+};
+
+module.exports.unlockIp = async (ip) => {
+  const { count } = await prisma.loginThrottle.deleteMany({
+    where: { key: ipKey(ip) },
+  });
+  return count > 0;
+};
@@ -0,0 +1,102 @@
+const nodemailer = require("nodemailer");
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Real Estate Rental <no-reply@localhost>";
+
+// Without SMTP settings, messages are rendered as JSON and not sent. Only
+// the recipient and subject are logged, as bodies contain account tokens.
+const transporter = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587"),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    })
+  : nodemailer.createTransport({ jsonTransport: true });
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await transporter.sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (!process.env.SMTP_HOST) {
+    console.log(`Mail to ${to} not sent (SMTP_HOST not set): ${subject}`);
+  }
+
+  return info;
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+module.exports.sendMail = sendMail;
+
+module.exports.clientUrl = (pathname) => `${CLIENT_URL}${pathname}`;
+
+module.exports.sendVerificationEmail = async (user, token) => {
+  const link = module.exports.clientUrl(`/verify-email?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please verify your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+// Sent to the new address; the change only applies once it is confirmed
+module.exports.sendEmailChangeEmail = async (user, newEmail, token) => {
+  const link = module.exports.clientUrl(`/confirm-email?token=${token}`);
+
+  return sendMail({
+    to: newEmail,
+    subject: "Confirm your new email address",
+    text: `Hi ${user.name},\n\nPlease confirm that you want to use this address for your account by opening the link below:\n\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm that you want to use this address for your account by opening the link below:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+module.exports.sendPasswordResetEmail = async (user, token) => {
+  const link = module.exports.clientUrl(`/reset-password?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour. If you did not request this, you can ignore this email.</p>`,
+  });
+};
+
+module.exports.sendHostApplicationDecisionEmail = async (user, application) => {
+  const approved = application.status === "APPROVED";
+  const summary = approved
+    ? "Your host application has been approved. You can now list properties."
+    : "Unfortunately your host application has been rejected.";
+  const note = application.reviewNote
+    ? `\n\nNote: ${application.reviewNote}`
+    : "";
+
+  return sendMail({
+    to: user.email,
+    subject: approved
+      ? "Your host application was approved"
+      : "Your host application was rejected",
+    text: `Hi ${user.name},\n\n${summary}${note}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>${summary}</p>${
+      application.reviewNote
+        ? `<p>Note: ${escapeHtml(application.reviewNote)}</p>`
+        : ""
+    }`,
+  });
+};
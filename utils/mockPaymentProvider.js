@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const { generateSecureToken } = require("./encryption");
+
+// Built-in provider for local development, refused in production. It keeps
+// no state: captures, cancellations and refunds always succeed, and checkout
+// is simulated with signed webhooks so the real webhook path is exercised.
+// Webhooks are signed with MOCK_PAYMENT_WEBHOOK_SECRET and rejected without
+// it.
+
+const SIGNATURE_HEADER = "x-mock-signature";
+const SIGNATURE_TOLERANCE = 60 * 5; // seconds
+
+const secret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+const signature = (timestamp, rawBody) =>
+  crypto
+    .createHmac("sha256", secret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+
+const randomId = (prefix) => `${prefix}_${generateSecureToken().slice(0, 24)}`;
+
+module.exports.name = "mock";
+
+module.exports.createIntent = async () => {
+  const providerRef = randomId("mock_pi");
+  return { providerRef, clientSecret: `${providerRef}_secret` };
+};
+
+module.exports.capture = async () => ({ status: "succeeded" });
+
+module.exports.cancel = async () => {};
+
+module.exports.refund = async () => ({ refundRef: randomId("mock_re") });
+
+// The event in a webhook request, or null if the signature header is
+// missing, wrong or too old. The header is "t=<unix time>,v1=<hex HMAC>".
+module.exports.verifyWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  if (!header || !rawBody || !secret()) return null;
+
+  const parts = Object.fromEntries(
+    header.split(",").map((part) => part.split("=")),
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (
+    !timestamp ||
+    !parts.v1 ||
+    Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE
+  ) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(timestamp, rawBody.toString()));
+  const provided = Buffer.from(parts.v1);
+  if (
+    expected.length !== provided.length ||
+    !crypto.timingSafeEqual(expected, provided)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(rawBody.toString());
+  } catch (error) {
+    return null;
+  }
+};
+
+// A signed webhook request for a guest finishing checkout. "success"
+// authorizes the payment, anything else declines it.
+module.exports.simulateCheckout = (providerRef, outcome) => {
+  if (!secret()) {
+    throw new Error("MOCK_PAYMENT_WEBHOOK_SECRET is not set");
+  }
+
+  const event =
+    outcome === "success"
+      ? { id: randomId("mock_evt"), type: "payment.authorized", providerRef }
+      : {
+          id: randomId("mock_evt"),
+          type: "payment.failed",
+          providerRef,
+          error: "Your card was declined",
+        };
+
+  const rawBody = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    rawBody: Buffer.from(rawBody),
+    headers: {
+      [SIGNATURE_HEADER]: `t=${timestamp},v1=${signature(timestamp, rawBody)}`,
+    },
+  };
+};
@@ -0,0 +1,141 @@
+// Capacity limits hosts can set on a property, with the lowest allowed
+// value. A missing limit means no limit.
+const CAPACITY_FIELDS = {
+  maxGuests: 1,
+  maxAdults: 1,
+  maxChildren: 0,
+  maxInfants: 0,
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+const exceeds = (limit, count) =>
+  limit !== null && limit !== undefined && count > limit;
+
+const parseCount = (value) => (isBlank(value) ? 0 : Number(value));
+
+// Returns an error message, or null if the capacity fields are valid
+module.exports.validateCapacityFields = (body) => {
+  for (const [field, min] of Object.entries(CAPACITY_FIELDS)) {
+    if (isBlank(body[field])) continue;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < min) {
+      return `${field} must be a whole number of at least ${min}`;
+    }
+  }
+
+  if (body.petsAllowed !== undefined && typeof body.petsAllowed !== "boolean") {
+    return "petsAllowed must be a boolean";
+  }
+
+  return null;
+};
+
+// Property data for the capacity fields present in the body. Blank values
+// remove a limit; missing ones are left unchanged.
+module.exports.pickCapacityFields = (body) => {
+  const data = {};
+
+  for (const field of Object.keys(CAPACITY_FIELDS)) {
+    if (body[field] === undefined) continue;
+    data[field] = isBlank(body[field]) ? null : parseInt(body[field]);
+  }
+
+  if (body.petsAllowed !== undefined) {
+    data.petsAllowed = body.petsAllowed;
+  }
+
+  return data;
+};
+
+// Who is coming, from a booking or quote request. Guests are adults and
+// children; infants don't count towards guestCount. Without a breakdown
+// every guest is counted as an adult.
+module.exports.parseOccupancy = (input) => {
+  const hasBreakdown = !isBlank(input.adults);
+  const adults = hasBreakdown ? Number(input.adults) : null;
+  const children = parseCount(input.children);
+  const infants = parseCount(input.infants);
+  const pets = parseCount(input.pets);
+  const counts = [children, infants, pets];
+
+  if (hasBreakdown) counts.push(adults);
+  if (counts.some((count) => !Number.isInteger(count) || count < 0)) {
+    return { error: "Guest numbers must be whole numbers of 0 or more" };
+  }
+
+  const guestCount = hasBreakdown
+    ? adults + children
+    : Number(input.guestCount);
+
+  if (!Number.isInteger(guestCount) || guestCount < 1) {
+    return { error: "Guest count must be a positive number" };
+  }
+
+  if (
+    hasBreakdown &&
+    !isBlank(input.guestCount) &&
+    Number(input.guestCount) !== guestCount
+  ) {
+    return { error: "Guest count must equal adults plus children" };
+  }
+
+  if (hasBreakdown && adults < 1) {
+    return { error: "At least one adult is required" };
+  }
+
+  return {
+    occupancy: {
+      guestCount,
+      adults: hasBreakdown ? adults : guestCount,
+      children,
+      infants,
+      pets,
+    },
+  };
+};
+
+// Returns an error message if the occupancy exceeds the property's limits
+module.exports.checkOccupancy = (property, occupancy) => {
+  if (exceeds(property.maxGuests, occupancy.guestCount)) {
+    return `This property allows at most ${property.maxGuests} guests`;
+  }
+
+  if (exceeds(property.maxAdults, occupancy.adults)) {
+    return `This property allows at most ${property.maxAdults} adults`;
+  }
+
+  if (exceeds(property.maxChildren, occupancy.children)) {
+    return `This property allows at most ${property.maxChildren} children`;
+  }
+
+  if (exceeds(property.maxInfants, occupancy.infants)) {
+    return `This property allows at most ${property.maxInfants} infants`;
+  }
+
+  if (occupancy.pets > 0 && !property.petsAllowed) {
+    return "Pets are not allowed at this property";
+  }
+
+  return null;
+};
+
+// Property filters for the listing search. Properties without a limit match.
+// Counts that aren't positive whole numbers are ignored.
+module.exports.capacityFilters = ({ guests, children, infants, pets }) => {
+  const filters = [];
+  const atLeast = (field, value) => {
+    if (!/^\d+$/.test(String(value)) || parseInt(value) < 1) return;
+    filters.push({
+      OR: [{ [field]: null }, { [field]: { gte: parseInt(value) } }],
+    });
+  };
+
+  atLeast("maxGuests", guests);
+  atLeast("maxChildren", children);
+  atLeast("maxInfants", infants);
+  if (pets === "true") filters.push({ petsAllowed: true });
+
+  return filters;
+};
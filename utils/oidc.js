@@ -0,0 +1,174 @@
+const { Issuer, Strategy } = require("openid-client");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { sessionUserSelect } = require("./users");
+
+// Everything is configured through env so any OpenID Connect provider,
+// including a local mock provider, can be used without code changes
+const config = {
+  provider: process.env.OIDC_PROVIDER_NAME || "oidc",
+  issuerUrl: process.env.OIDC_ISSUER_URL,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri:
+    process.env.OIDC_REDIRECT_URI ||
+    "http://localhost:8000/api/auth/oidc/callback",
+  scope: process.env.OIDC_SCOPE || "openid email profile",
+};
+
+module.exports.oidcConfig = config;
+
+module.exports.isOidcEnabled = () =>
+  Boolean(config.issuerUrl && config.clientId);
+
+class OidcLoginError extends Error {}
+
+module.exports.OidcLoginError = OidcLoginError;
+
+// Find the user for an external identity, linking or creating one as needed:
+// 1. an identity that is already linked logs in its user
+// 2. when linkUserId is set, the identity is linked to that (logged in) user
+// 3. a verified email matching an existing account is linked to it
+// 4. otherwise a new GUEST account is created
+module.exports.resolveOidcUser = async (claims, linkUserId) => {
+  const { sub, email, name } = claims;
+  const emailVerified = claims.email_verified === true;
+
+  const identity = await prisma.userIdentity.findUnique({
+    where: {
+      provider_subject: { provider: config.provider, subject: sub },
+    },
+  });
+
+  if (identity) {
+    if (linkUserId && identity.userId !== linkUserId) {
+      throw new OidcLoginError(
+        "This identity is already linked to another account",
+      );
+    }
+
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date(), email },
+    });
+
+    return identity.userId;
+  }
+
+  const identityData = {
+    provider: config.provider,
+    subject: sub,
+    email,
+    lastLoginAt: new Date(),
+  };
+
+  if (linkUserId) {
+    await prisma.userIdentity.create({
+      data: { ...identityData, userId: linkUserId },
+    });
+    return linkUserId;
+  }
+
+  if (!email) {
+    throw new OidcLoginError("The identity provider did not share an email");
+  }
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+
+  if (existingUser) {
+    // Linking on an unverified email would let anyone take over the account
+    if (!emailVerified) {
+      throw new OidcLoginError(
+        "An account with this email already exists. Log in and link the identity from your account settings.",
+      );
+    }
+
+    await prisma.$transaction([
+      prisma.userIdentity.create({
+        data: { ...identityData, userId: existingUser.id },
+      }),
+      prisma.user.update({
+        where: { id: existingUser.id },
+        data: { isVerified: true },
+      }),
+    ]);
+
+    return existingUser.id;
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      name: name || email.split("@")[0],
+      email,
+      role: "GUEST",
+      isVerified: emailVerified,
+      identities: { create: identityData },
+    },
+  });
+
+  return user.id;
+};
+
+// Passport verify callback: resolves the user from the ID token claims. A
+// logged in user starting the flow with ?link=true is stored in the session.
+const verify = async (req, tokenSet, done) => {
+  try {
+    const linkUserId = req.session.oidcLinkUserId;
+    delete req.session.oidcLinkUserId;
+
+    const userId = await module.exports.resolveOidcUser(
+      tokenSet.claims(),
+      linkUserId,
+    );
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: sessionUserSelect,
+    });
+
+    done(null, user);
+  } catch (error) {
+    if (error instanceof OidcLoginError) {
+      return done(null, false, { message: error.message });
+    }
+    done(error);
+  }
+};
+
+let strategyPromise = null;
+
+// Discover the issuer on first use and register the "oidc" passport strategy.
+// A failed discovery is retried on the next login attempt.
+module.exports.ensureOidcStrategy = (passport) => {
+  if (!strategyPromise) {
+    strategyPromise = Issuer.discover(config.issuerUrl)
+      .then((issuer) => {
+        const client = new issuer.Client({
+          client_id: config.clientId,
+          client_secret: config.clientSecret,
+          redirect_uris: [config.redirectUri],
+          response_types: ["code"],
+          token_endpoint_auth_method: config.clientSecret
+            ? "client_secret_basic"
+            : "none",
+        });
+
+        passport.use(
+          "oidc",
+          new Strategy(
+            {
+              client,
+              params: { scope: config.scope },
+              passReqToCallback: true,
+            },
+            verify,
+          ),
+        );
+      })
+      .catch((error) => {
+        strategyPromise = null;
+        throw error;
+      });
+  }
+
+  return strategyPromise;
+};
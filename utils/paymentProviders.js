@@ -0,0 +1,34 @@
+// Payment providers implement:
+//   name
+//   createIntent({ amount, currency, bookingId }) -> { providerRef, clientSecret }
+//   capture(providerRef, amount) -> { status: "succeeded" | "failed", error }
+//   cancel(providerRef)
+//   refund(providerRef, amount) -> { refundRef }
+//   verifyWebhook(rawBody, headers) -> event, or null if the signature is bad
+// Webhook events are { id, type, providerRef, error, amount, refundId }
+// where type is one of payment.authorized, payment.failed,
+// payment.succeeded or payment.refunded. refundId is the provider's id of
+// the refund, the same as refund() returns.
+const PROVIDERS = {
+  mock: require("./mockPaymentProvider"),
+};
+
+// Providers that only simulate payments, refused in production
+const TEST_PROVIDERS = ["mock"];
+
+const getProvider = (name) => {
+  if (process.env.NODE_ENV === "production" && TEST_PROVIDERS.includes(name)) {
+    return null;
+  }
+  return PROVIDERS[name] || null;
+};
+
+// The provider new payments are made with, or null if it isn't available
+const activeProvider = () =>
+  getProvider(process.env.PAYMENT_PROVIDER || "mock");
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  activeProvider,
+};
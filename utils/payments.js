@@ -0,0 +1,399 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  BookingTransitionError,
+  transitionBooking,
+} = require("./bookingStatus");
+const { getProvider, activeProvider } = require("./paymentProviders");
+const { RefundError, refundedTotal, recordRefund } = require("./refunds");
+const { holdDeposit, releaseDeposit } = require("./deposits");
+
+const CURRENCY = (process.env.PAYMENT_CURRENCY || "usd").toLowerCase();
+
+class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const bookingInclude = {
+  property: { select: { hostId: true, title: true, bookingMode: true } },
+};
+
+// Start paying for a pending booking and its security deposit. Payments
+// are authorized first and captured when the booking is accepted (straight
+// away for Instant Book). An open intent for the same amount is reused.
+module.exports.createPaymentIntent = async (bookingId, user) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: bookingInclude,
+  });
+
+  if (!booking) {
+    throw new PaymentError("Booking not found", 404);
+  }
+
+  if (booking.guestId !== user.id) {
+    throw new PaymentError("Not authorized to pay for this booking", 403);
+  }
+
+  if (booking.status !== "pending" || booking.paymentStatus !== "unpaid") {
+    throw new PaymentError("This booking doesn't need a payment");
+  }
+
+  const provider = activeProvider();
+  if (!provider) {
+    throw new PaymentError("Payments are not available right now", 503);
+  }
+
+  const amount = new Prisma.Decimal(booking.totalPrice).add(
+    booking.depositAmount || 0,
+  );
+
+  const open = await prisma.paymentIntent.findFirst({
+    where: {
+      bookingId,
+      provider: provider.name,
+      status: "REQUIRES_PAYMENT",
+      amount,
+    },
+  });
+
+  if (open) return open;
+
+  const { providerRef, clientSecret } = await provider.createIntent({
+    amount,
+    currency: CURRENCY,
+    bookingId,
+  });
+
+  return prisma.paymentIntent.create({
+    data: {
+      bookingId,
+      provider: provider.name,
+      providerRef,
+      clientSecret,
+      amount,
+      currency: CURRENCY,
+    },
+  });
+};
+
+// Record a successful payment and confirm the booking. If the booking was
+// cancelled or expired in the meantime the payment is refunded in full.
+const markPaid = async (intent, user = null) => {
+  await prisma.$transaction([
+    prisma.paymentIntent.updateMany({
+      where: {
+        id: intent.id,
+        status: { in: ["REQUIRES_PAYMENT", "AUTHORIZED"] },
+      },
+      data: { status: "SUCCEEDED", lastError: null },
+    }),
+    prisma.booking.updateMany({
+      where: {
+        id: intent.bookingId,
+        paymentStatus: { in: ["unpaid", "authorized", "overdue"] },
+      },
+      data: { paymentStatus: "paid" },
+    }),
+  ]);
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: intent.bookingId },
+  });
+  await holdDeposit(booking);
+
+  if (booking.status === "pending") {
+    try {
+      const { booking: confirmed } = await transitionBooking(
+        booking.id,
+        "confirmed",
+        { user, reason: "Payment received" },
+      );
+      return confirmed;
+    } catch (error) {
+      if (!(error instanceof BookingTransitionError)) throw error;
+    }
+  }
+
+  const current = await prisma.booking.findUnique({
+    where: { id: intent.bookingId },
+  });
+
+  if (["cancelled", "expired"].includes(current.status)) {
+    const reason = `Paid after the booking was ${current.status}`;
+
+    await recordRefund(intent, {
+      amount: current.totalPrice,
+      type: current.status === "expired" ? "EXPIRY" : "CANCELLATION",
+      reason,
+    });
+    await releaseDeposit(current.id, reason);
+  }
+
+  return current;
+};
+
+// Capture a booking's authorized payment, which confirms it. `user` is the
+// host or admin accepting the booking, or null for Instant Book.
+const capturePayment = async (bookingId, user = null) => {
+  const intent = await prisma.paymentIntent.findFirst({
+    where: { bookingId, status: "AUTHORIZED" },
+  });
+
+  if (!intent) {
+    throw new PaymentError("The guest hasn't authorized a payment yet");
+  }
+
+  const result = await getProvider(intent.provider).capture(
+    intent.providerRef,
+    intent.amount,
+  );
+
+  if (result.status !== "succeeded") {
+    await prisma.$transaction([
+      prisma.paymentIntent.update({
+        where: { id: intent.id },
+        data: { status: "FAILED", lastError: result.error || null },
+      }),
+      prisma.booking.updateMany({
+        where: { id: bookingId, paymentStatus: "authorized" },
+        data: { paymentStatus: "unpaid" },
+      }),
+    ]);
+
+    throw new PaymentError("The payment could not be captured", 402);
+  }
+
+  return markPaid(intent, user);
+};
+
+// What a cancelled or expired booking's captured payment still owes the
+// guest: its refundAmount (the whole price for expired requests) less the
+// price refunded already
+const owedRefund = async (booking, intent) =>
+  new Prisma.Decimal(
+    booking.status === "expired"
+      ? booking.totalPrice
+      : booking.refundAmount || 0,
+  ).sub(await refundedTotal(intent.id, prisma, { type: { not: "DEPOSIT" } }));
+
+// Release or refund the payment of a cancelled or expired booking:
+// authorizations are voided and captured payments refunded up to the
+// booking's refundAmount (in full for expired requests), less anything
+// refunded already. A held security deposit is returned in full. `user` is
+// who cancelled, null for the system. Failures are logged and left in the
+// refund ledger, and retried by retryUnsettledPayments. Returns whether the
+// payment was settled.
+const settlePayment = async (bookingId, user = null) => {
+  const booking = await prisma.booking.findUnique({ where: { id: bookingId } });
+  if (!["cancelled", "expired"].includes(booking.status)) return false;
+
+  const intent = await prisma.paymentIntent.findFirst({
+    where: { bookingId, status: { in: ["AUTHORIZED", "SUCCEEDED"] } },
+  });
+  if (!intent) return false;
+
+  try {
+    if (intent.status === "AUTHORIZED") {
+      await getProvider(intent.provider).cancel(intent.providerRef);
+
+      await prisma.$transaction([
+        prisma.paymentIntent.update({
+          where: { id: intent.id },
+          data: { status: "CANCELLED", lastError: null },
+        }),
+        prisma.booking.update({
+          where: { id: bookingId },
+          data: { paymentStatus: "unpaid" },
+        }),
+      ]);
+      return true;
+    }
+
+    const expired = booking.status === "expired";
+    const owed = await owedRefund(booking, intent);
+
+    if (owed.gt(0)) {
+      await recordRefund(intent, {
+        amount: owed,
+        type: expired ? "EXPIRY" : "CANCELLATION",
+        reason: expired
+          ? "Booking request expired"
+          : "Refund under the cancellation policy",
+        user,
+      });
+    }
+
+    await releaseDeposit(
+      bookingId,
+      expired ? "Booking request expired" : "Booking cancelled",
+    );
+
+    if (intent.lastError) {
+      await prisma.paymentIntent.update({
+        where: { id: intent.id },
+        data: { lastError: null },
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error settling payment for booking ${bookingId}:`, error);
+    await prisma.paymentIntent.update({
+      where: { id: intent.id },
+      data: { lastError: String(error.message).slice(0, 191) },
+    });
+    return false;
+  }
+};
+
+// Settle cancelled and expired bookings whose payment is still authorized,
+// refunded less than it should be or holding the deposit, e.g. because the
+// provider failed when the booking was cancelled. Returns how many were
+// settled.
+const retryUnsettledPayments = async () => {
+  const intents = await prisma.paymentIntent.findMany({
+    where: {
+      status: { in: ["AUTHORIZED", "SUCCEEDED"] },
+      booking: { status: { in: ["cancelled", "expired"] } },
+    },
+    include: { booking: { include: { deposit: true } } },
+  });
+
+  let settled = 0;
+  for (const intent of intents) {
+    const { booking } = intent;
+    const unsettled =
+      intent.status === "AUTHORIZED" ||
+      (booking.deposit && booking.deposit.status === "HELD") ||
+      (await owedRefund(booking, intent)).gt(0);
+
+    if (unsettled && (await settlePayment(booking.id))) settled++;
+  }
+
+  return settled;
+};
+
+const processEvent = async (event) => {
+  const intent = await prisma.paymentIntent.findUnique({
+    where: { providerRef: event.providerRef },
+    include: { booking: { include: bookingInclude } },
+  });
+
+  // Not one of ours
+  if (!intent) return;
+
+  switch (event.type) {
+    case "payment.authorized": {
+      const { count } = await prisma.paymentIntent.updateMany({
+        where: { id: intent.id, status: "REQUIRES_PAYMENT" },
+        data: { status: "AUTHORIZED", lastError: null },
+      });
+      // A redelivery finds the payment authorized already if an Instant
+      // Book capture failed, and tries the capture again
+      if (count === 0 && intent.status !== "AUTHORIZED") return;
+
+      await prisma.booking.updateMany({
+        where: { id: intent.bookingId, paymentStatus: "unpaid" },
+        data: { paymentStatus: "authorized" },
+      });
+
+      // Instant Book doesn't wait for the host
+      if (intent.booking.property.bookingMode === "INSTANT") {
+        await capturePayment(intent.bookingId);
+      }
+      return;
+    }
+    case "payment.failed":
+      await prisma.paymentIntent.updateMany({
+        where: {
+          id: intent.id,
+          status: { in: ["REQUIRES_PAYMENT", "AUTHORIZED"] },
+        },
+        data: { status: "FAILED", lastError: event.error || null },
+      });
+      return;
+    case "payment.succeeded":
+      await markPaid(intent);
+      return;
+    case "payment.refunded": {
+      // Refunded outside the app, e.g. from the provider's dashboard.
+      // Refunds already in the ledger, such as ones issued from the app, are
+      // skipped.
+      const known =
+        event.refundId &&
+        (await prisma.refund.findUnique({
+          where: { providerRef: event.refundId },
+        }));
+      if (known) return;
+
+      try {
+        await recordRefund(intent, {
+          amount: event.amount,
+          type: "PROVIDER",
+          reason: "Refunded at the payment provider",
+          provider: false,
+          providerRef: event.refundId || null,
+        });
+      } catch (error) {
+        // Nothing left to refund, or recorded in the meantime
+        if (!(error instanceof RefundError) && error.code !== "P2002") {
+          throw error;
+        }
+      }
+      return;
+    }
+  }
+};
+
+// Handle a provider webhook. The signature is checked first, and each event
+// is processed once: redeliveries of a processed event are acknowledged
+// without doing anything. If processing fails the event is forgotten so the
+// provider's retry is processed again.
+module.exports.handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw new PaymentError("Unknown payment provider", 404);
+  }
+
+  const event = provider.verifyWebhook(rawBody, headers);
+  if (!event || !event.id || !event.type) {
+    throw new PaymentError("Invalid webhook signature");
+  }
+
+  let record;
+  try {
+    record = await prisma.webhookEvent.create({
+      data: {
+        provider: providerName,
+        eventId: event.id,
+        type: event.type,
+        payload: event,
+      },
+    });
+  } catch (error) {
+    if (error.code === "P2002") return { duplicate: true };
+    throw error;
+  }
+
+  try {
+    await processEvent(event);
+  } catch (error) {
+    await prisma.webhookEvent.delete({ where: { id: record.id } });
+    throw error;
+  }
+
+  await prisma.webhookEvent.update({
+    where: { id: record.id },
+    data: { processedAt: new Date() },
+  });
+
+  return { duplicate: false };
+};
+
+module.exports.PaymentError = PaymentError;
+module.exports.capturePayment = capturePayment;
+module.exports.settlePayment = settlePayment;
+module.exports.retryUnsettledPayments = retryUnsettledPayments;
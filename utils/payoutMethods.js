@@ -0,0 +1,50 @@
+// Supported payout methods and the details each one requires
+const PAYOUT_METHODS = {
+  bank_transfer: ["accountHolder", "bankName", "accountNumber"],
+  paypal: ["email"],
+};
+
+// Returns an error message, or null if the details are complete
+module.exports.validatePayoutDetails = (method, details) => {
+  const requiredFields = PAYOUT_METHODS[method];
+
+  if (!requiredFields) {
+    return `Payout method must be one of: ${Object.keys(PAYOUT_METHODS).join(
+      ", ",
+    )}`;
+  }
+
+  if (!details || typeof details !== "object" || Array.isArray(details)) {
+    return "Payout details are required";
+  }
+
+  const missing = requiredFields.filter(
+    (field) => !details[field] || typeof details[field] !== "string",
+  );
+
+  if (missing.length > 0) {
+    return `Missing payout details: ${missing.join(", ")}`;
+  }
+
+  return null;
+};
+
+// Only keep the fields a method needs, so arbitrary input is never stored
+module.exports.pickPayoutDetails = (method, details) => {
+  return PAYOUT_METHODS[method].reduce((picked, field) => {
+    picked[field] = details[field].trim();
+    return picked;
+  }, {});
+};
+
+// Hide all but the last four characters of account numbers in responses
+module.exports.maskPayoutDetails = (details) => {
+  if (!details || !details.accountNumber) return details;
+
+  return {
+    ...details,
+    accountNumber: `****${details.accountNumber.slice(-4)}`,
+  };
+};
+
+module.exports.PAYOUT_METHODS = Object.keys(PAYOUT_METHODS);
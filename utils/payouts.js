@@ -0,0 +1,292 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { getSetting } = require("./settings");
+const { refundSummary, refundsInclude } = require("./refunds");
+const { maskPayoutDetails } = require("./payoutMethods");
+
+const { Decimal } = Prisma;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+class PayoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Round to cents, half up
+const money = (value) => new Decimal(value).toDecimalPlaces(2);
+
+// First day of a "YYYY-MM" month (UTC), or of the current month
+const parseMonth = (month) => {
+  if (!month) {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  const match = /^(\d{4})-(\d{2})$/.exec(month);
+  if (!match || match[2] < 1 || match[2] > 12) {
+    throw new PayoutError("Month must be in YYYY-MM format");
+  }
+
+  return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, 1));
+};
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+// Split what was kept from a booking's payment between the host and the
+// platform. Refunds reduce the host's share and the guest service fee in
+// proportion; commission is taken from the host's share.
+// retained = grossAmount + serviceFee, grossAmount = commission + amount.
+const hostEarnings = (booking, commissionPercent) => {
+  const { retained } = refundSummary(booking);
+  const total = new Decimal(booking.totalPrice);
+  const serviceFee = new Decimal(
+    (booking.priceBreakdown && booking.priceBreakdown.serviceFee) || 0,
+  );
+
+  const grossAmount = total.gt(0)
+    ? money(retained.times(total.sub(serviceFee)).div(total))
+    : new Decimal(0);
+  const commission = money(grossAmount.times(commissionPercent).div(100));
+
+  return {
+    grossAmount,
+    serviceFee: retained.sub(grossAmount),
+    commission,
+    amount: grossAmount.sub(commission),
+  };
+};
+
+const payoutBookingInclude = {
+  property: { select: { hostId: true, title: true } },
+  ...refundsInclude,
+};
+
+// Create payouts for bookings with money kept from the guest: confirmed
+// and completed stays, and cancellation fees. Each is released
+// payoutDelayDays after check-out, once the stay can no longer be
+// cancelled and refunded. Returns how many were created.
+const schedulePayouts = async () => {
+  const bookings = await prisma.booking.findMany({
+    where: {
+      status: { in: ["confirmed", "completed", "cancelled"] },
+      paymentStatus: { in: ["paid", "partially_refunded"] },
+      payouts: { none: { type: "BOOKING" } },
+    },
+    include: payoutBookingInclude,
+  });
+  if (bookings.length === 0) return 0;
+
+  const commissionPercent = await getSetting("hostCommissionPercent");
+  const delayDays = await getSetting("payoutDelayDays");
+
+  let created = 0;
+  for (const booking of bookings) {
+    try {
+      await prisma.payout.create({
+        data: {
+          hostId: booking.property.hostId,
+          bookingId: booking.id,
+          ...hostEarnings(booking, commissionPercent),
+          commissionPercent,
+          releaseAt: new Date(booking.endDate.getTime() + delayDays * DAY_MS),
+        },
+      });
+      created++;
+    } catch (error) {
+      // Created in the meantime
+      if (error.code !== "P2002") throw error;
+    }
+  }
+
+  return created;
+};
+
+// Release due payouts to the host's default payout method. Booking
+// payouts are worked out again first, as refunds may have been issued since
+// they were scheduled. Payouts of hosts without a payout method stay
+// pending until they add one. Booking payouts also wait for the stay to
+// end, including ones scheduled before payouts were timed from check-out.
+// Returns how many were released.
+const releasePayouts = async () => {
+  const now = new Date();
+  const payouts = await prisma.payout.findMany({
+    where: {
+      status: "PENDING",
+      releaseAt: { lte: now },
+      OR: [
+        { type: { not: "BOOKING" } },
+        { booking: { endDate: { lte: now } } },
+      ],
+    },
+    include: { booking: { include: payoutBookingInclude } },
+  });
+
+  let released = 0;
+  for (const payout of payouts) {
+    const earnings =
+      payout.type === "BOOKING"
+        ? hostEarnings(payout.booking, payout.commissionPercent)
+        : { amount: new Decimal(payout.amount) };
+
+    if (earnings.amount.lte(0)) {
+      await prisma.payout.updateMany({
+        where: { id: payout.id, status: "PENDING" },
+        data: { ...earnings, status: "CANCELLED", error: null },
+      });
+      continue;
+    }
+
+    const method = await prisma.payoutMethod.findFirst({
+      where: { hostId: payout.hostId, isDefault: true },
+    });
+
+    if (!method) {
+      await prisma.payout.update({
+        where: { id: payout.id },
+        data: { ...earnings, error: "No payout method on file" },
+      });
+      continue;
+    }
+
+    const { count } = await prisma.payout.updateMany({
+      where: { id: payout.id, status: "PENDING" },
+      data: {
+        ...earnings,
+        status: "RELEASED",
+        releasedAt: new Date(),
+        payoutMethodId: method.id,
+        reference: `PO-${String(payout.id).padStart(8, "0")}`,
+        error: null,
+      },
+    });
+    released += count;
+  }
+
+  return released;
+};
+
+// Schedule new payouts and release the ones that are due
+const processPayouts = async () => {
+  await schedulePayouts();
+  return releasePayouts();
+};
+
+const totals = (payouts) => {
+  const sum = (field, status) =>
+    payouts
+      .filter((payout) => !status || payout.status === status)
+      .reduce((total, payout) => total.add(payout[field]), new Decimal(0));
+
+  return {
+    gross: sum("grossAmount"),
+    commission: sum("commission"),
+    net: sum("amount"),
+    released: sum("amount", "RELEASED"),
+    pending: sum("amount", "PENDING"),
+  };
+};
+
+// A host's earnings for payouts released (or due) in a month
+const monthlyStatement = async (hostId, month) => {
+  const start = parseMonth(month);
+  const end = new Date(
+    Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1),
+  );
+
+  const payouts = await prisma.payout.findMany({
+    where: {
+      hostId,
+      status: { not: "CANCELLED" },
+      releaseAt: { gte: start, lt: end },
+    },
+    include: {
+      booking: {
+        select: {
+          id: true,
+          startDate: true,
+          endDate: true,
+          status: true,
+          totalPrice: true,
+          property: { select: { id: true, title: true } },
+        },
+      },
+    },
+    orderBy: { releaseAt: "asc" },
+  });
+
+  return {
+    month: monthKey(start),
+    lines: payouts.map((payout) => ({
+      payoutId: payout.id,
+      type: payout.type,
+      reference: payout.reference,
+      status: payout.status,
+      releaseAt: payout.releaseAt,
+      releasedAt: payout.releasedAt,
+      booking: payout.booking,
+      grossAmount: payout.grossAmount,
+      commissionPercent: payout.commissionPercent,
+      commission: payout.commission,
+      amount: payout.amount,
+    })),
+    totals: totals(payouts),
+  };
+};
+
+// Months a host has payouts in, newest first, with their totals
+const statementMonths = async (hostId) => {
+  const payouts = await prisma.payout.findMany({
+    where: { hostId, status: { not: "CANCELLED" } },
+    select: {
+      releaseAt: true,
+      status: true,
+      grossAmount: true,
+      commission: true,
+      amount: true,
+    },
+    orderBy: { releaseAt: "desc" },
+  });
+
+  const months = new Map();
+  for (const payout of payouts) {
+    const key = monthKey(payout.releaseAt);
+    if (!months.has(key)) months.set(key, []);
+    months.get(key).push(payout);
+  }
+
+  return [...months].map(([month, monthPayouts]) => ({
+    month,
+    payouts: monthPayouts.length,
+    totals: totals(monthPayouts),
+  }));
+};
+
+// A host's earnings across all payouts, for the dashboard
+const hostEarningsSummary = async (hostId) => {
+  const payouts = await prisma.payout.findMany({
+    where: { hostId, status: { not: "CANCELLED" } },
+    select: { status: true, grossAmount: true, commission: true, amount: true },
+  });
+
+  return totals(payouts);
+};
+
+// Payout method as shown in responses
+const formatPayoutMethod = (method) => ({
+  ...method,
+  details: maskPayoutDetails(method.details),
+});
+
+module.exports = {
+  PayoutError,
+  hostEarnings,
+  schedulePayouts,
+  releasePayouts,
+  processPayouts,
+  monthlyStatement,
+  statementMonths,
+  hostEarningsSummary,
+  formatPayoutMethod,
+};
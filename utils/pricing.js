@@ -0,0 +1,297 @@
+const { Prisma } = require("@prisma/client");
+const { getSetting } = require("./settings");
+const signedToken = require("./signedToken");
+
+const { Decimal } = Prisma;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const QUOTE_TTL = 60 * 30; // 30 minutes
+
+// Optional pricing fields hosts can set on a property
+const MONEY_FIELDS = [
+  "weekendPrice",
+  "weeklyPrice",
+  "monthlyPrice",
+  "cleaningFee",
+  "extraGuestFee",
+  "securityDeposit", // not part of the price; see utils/deposits.js
+];
+const PERCENT_FIELDS = ["weeklyDiscount", "monthlyDiscount"];
+const COUNT_FIELDS = ["guestsIncluded"];
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+// Round to cents, half up
+const money = (value) => new Decimal(value).toDecimalPlaces(2);
+
+// Nights between check-in and check-out (at least one)
+const countNights = (start, end) =>
+  Math.max(1, Math.ceil((end - start) / DAY_MS));
+
+// Friday and Saturday nights
+const isWeekendNight = (start, night) =>
+  [5, 6].includes(new Date(start.getTime() + night * DAY_MS).getUTCDay());
+
+// The property price is per night, month or year depending on its period
+const nightlyRate = (property) => {
+  const price = new Decimal(property.price);
+
+  switch (property.rentalPeriod) {
+    case "DAY":
+      return price;
+    case "MONTH":
+      return price.div(30);
+    case "YEAR":
+      return price.div(365);
+    default:
+      throw new PricingError("Property has no rental period");
+  }
+};
+
+// Returns an error message, or null if the pricing fields are valid
+module.exports.validatePricingFields = (body) => {
+  for (const field of MONEY_FIELDS) {
+    if (isBlank(body[field])) continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return `${field} must be a non-negative amount`;
+    }
+  }
+
+  for (const field of PERCENT_FIELDS) {
+    if (isBlank(body[field])) continue;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      return `${field} must be a whole percentage between 0 and 100`;
+    }
+  }
+
+  for (const field of COUNT_FIELDS) {
+    if (isBlank(body[field])) continue;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 1) {
+      return `${field} must be a positive whole number`;
+    }
+  }
+
+  return null;
+};
+
+// Property data for the pricing fields present in the body. Blank values
+// clear a field; missing ones are left unchanged.
+module.exports.pickPricingFields = (body) => {
+  const data = {};
+
+  for (const field of MONEY_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = isBlank(body[field]) ? null : money(body[field]);
+  }
+
+  for (const field of [...PERCENT_FIELDS, ...COUNT_FIELDS]) {
+    if (body[field] === undefined) continue;
+    data[field] = isBlank(body[field]) ? null : parseInt(body[field]);
+  }
+
+  return data;
+};
+
+// Price a stay. Whole months and weeks use the monthly and weekly rates when
+// set, remaining nights use the nightly or weekend price. Length-of-stay
+// discounts apply to the accommodation only, the service fee to everything
+// else. Returns the total and an itemized breakdown with amounts as strings.
+module.exports.calculatePrice = async (
+  property,
+  { start, end, guestCount },
+) => {
+  if (property.listingType !== "RENT") {
+    throw new PricingError("Properties for sale cannot be booked");
+  }
+
+  const nights = countNights(start, end);
+  const lines = [];
+
+  const addLine = (type, label, quantity, unitPrice) => {
+    const unit = money(unitPrice);
+    const amount = unit.times(quantity);
+    lines.push({ type, label, quantity, unitPrice: unit, amount });
+    return amount;
+  };
+
+  let accommodation = new Decimal(0);
+  let night = 0;
+
+  const monthlyPrice =
+    property.monthlyPrice ||
+    (property.rentalPeriod === "MONTH" ? property.price : null);
+
+  if (monthlyPrice && nights - night >= 30) {
+    const months = Math.floor((nights - night) / 30);
+    accommodation = accommodation.plus(
+      addLine("monthly", `${months} x 30 nights`, months, monthlyPrice),
+    );
+    night += months * 30;
+  }
+
+  if (property.weeklyPrice && nights - night >= 7) {
+    const weeks = Math.floor((nights - night) / 7);
+    accommodation = accommodation.plus(
+      addLine("weekly", `${weeks} x 7 nights`, weeks, property.weeklyPrice),
+    );
+    night += weeks * 7;
+  }
+
+  let weekdayNights = 0;
+  let weekendNights = 0;
+  for (; night < nights; night++) {
+    if (property.weekendPrice && isWeekendNight(start, night)) {
+      weekendNights++;
+    } else {
+      weekdayNights++;
+    }
+  }
+
+  if (weekdayNights > 0) {
+    accommodation = accommodation.plus(
+      addLine(
+        "nightly",
+        `${weekdayNights} nights`,
+        weekdayNights,
+        nightlyRate(property),
+      ),
+    );
+  }
+
+  if (weekendNights > 0) {
+    accommodation = accommodation.plus(
+      addLine(
+        "weekend",
+        `${weekendNights} weekend nights`,
+        weekendNights,
+        property.weekendPrice,
+      ),
+    );
+  }
+
+  let discountPercent = 0;
+  if (nights >= 28 && property.monthlyDiscount) {
+    discountPercent = property.monthlyDiscount;
+  } else if (nights >= 7 && property.weeklyDiscount) {
+    discountPercent = property.weeklyDiscount;
+  }
+
+  let subtotal = accommodation;
+
+  if (discountPercent > 0) {
+    const discount = money(accommodation.times(discountPercent).div(100));
+    lines.push({
+      type: "discount",
+      label: `${discountPercent}% length-of-stay discount`,
+      quantity: 1,
+      unitPrice: discount.neg(),
+      amount: discount.neg(),
+    });
+    subtotal = subtotal.minus(discount);
+  }
+
+  const extraGuests = property.guestsIncluded
+    ? Math.max(0, guestCount - property.guestsIncluded)
+    : 0;
+
+  if (property.extraGuestFee && extraGuests > 0) {
+    subtotal = subtotal.plus(
+      addLine(
+        "extraGuests",
+        `${extraGuests} extra guests x ${nights} nights`,
+        extraGuests * nights,
+        property.extraGuestFee,
+      ),
+    );
+  }
+
+  if (property.cleaningFee && new Decimal(property.cleaningFee).gt(0)) {
+    subtotal = subtotal.plus(
+      addLine("cleaning", "Cleaning fee", 1, property.cleaningFee),
+    );
+  }
+
+  const serviceFeePercent = await getSetting("guestServiceFeePercent");
+  const serviceFee = money(subtotal.times(serviceFeePercent).div(100));
+
+  if (serviceFee.gt(0)) {
+    lines.push({
+      type: "service",
+      label: `${serviceFeePercent}% service fee`,
+      quantity: 1,
+      unitPrice: serviceFee,
+      amount: serviceFee,
+    });
+  }
+
+  const total = subtotal.plus(serviceFee);
+
+  return {
+    total,
+    breakdown: {
+      nights,
+      guestCount,
+      lines: lines.map((line) => ({
+        ...line,
+        unitPrice: line.unitPrice.toFixed(2),
+        amount: line.amount.toFixed(2),
+      })),
+      subtotal: subtotal.toFixed(2),
+      serviceFee: serviceFee.toFixed(2),
+      total: total.toFixed(2),
+    },
+  };
+};
+
+// Sign a quote so POST /bookings can charge exactly what the guest was shown
+module.exports.signQuote = (propertyId, { start, end, guestCount }, quote) =>
+  signedToken.sign(
+    {
+      typ: "quote",
+      propertyId,
+      startDate: start.toISOString(),
+      endDate: end.toISOString(),
+      guestCount,
+      breakdown: quote.breakdown,
+    },
+    QUOTE_TTL,
+  );
+
+// The quoted price, or null if the token is invalid, expired or was issued
+// for a different property, dates or guest count
+module.exports.verifyQuote = (
+  token,
+  propertyId,
+  { start, end, guestCount },
+) => {
+  const payload = signedToken.verify(token);
+
+  if (
+    !payload ||
+    payload.typ !== "quote" ||
+    payload.propertyId !== propertyId ||
+    payload.startDate !== start.toISOString() ||
+    payload.endDate !== end.toISOString() ||
+    payload.guestCount !== guestCount
+  ) {
+    return null;
+  }
+
+  return {
+    total: new Decimal(payload.breakdown.total),
+    breakdown: payload.breakdown,
+  };
+};
+
+module.exports.PricingError = PricingError;
+module.exports.QUOTE_TTL = QUOTE_TTL;
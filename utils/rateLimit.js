@@ -0,0 +1,35 @@
+// Simple fixed-window rate limiter keyed by client IP. Counters are kept in
+// memory, so limits apply per server instance.
+module.exports.rateLimit = ({ windowMs, max, message }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set("Retry-After", Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({
+        message: message || "Too many requests, please try again later",
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,273 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { getProvider } = require("./paymentProviders");
+
+const { Decimal } = Prisma;
+const ZERO = new Decimal(0);
+
+const REFUND_TYPES = [
+  "CANCELLATION",
+  "EXPIRY",
+  "MANUAL",
+  "PROVIDER",
+  "DEPOSIT",
+];
+const REFUND_STATUSES = ["PENDING", "SUCCEEDED", "FAILED"];
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sum = (amounts) => amounts.reduce((total, a) => total.add(a), ZERO);
+
+// Lock the payment row until the transaction ends so concurrent refunds of
+// the same payment run one after another
+const lockPayment = (tx, paymentIntentId) =>
+  tx.$queryRaw`SELECT id FROM PaymentIntent WHERE id = ${paymentIntentId} FOR UPDATE`;
+
+// Total of a payment's pending and succeeded refunds, optionally only
+// those matching `where`
+const refundedTotal = async (paymentIntentId, tx = prisma, where = {}) => {
+  const refunds = await tx.refund.findMany({
+    where: {
+      ...where,
+      paymentIntentId,
+      status: { in: ["PENDING", "SUCCEEDED"] },
+    },
+    select: { amount: true },
+  });
+  return sum(refunds.map((refund) => refund.amount));
+};
+
+// Keep the payment's refunded total and the booking's payment status in
+// line with the ledger. Returning the security deposit doesn't change the
+// booking's payment status.
+const syncRefundTotals = async (intent) => {
+  const refunds = await prisma.refund.findMany({
+    where: { paymentIntentId: intent.id, status: "SUCCEEDED" },
+    select: { amount: true, type: true },
+  });
+  const booking = await prisma.booking.findUnique({
+    where: { id: intent.bookingId },
+    select: { depositAmount: true },
+  });
+
+  const refunded = sum(refunds.map((refund) => refund.amount));
+  const priceRefunded = sum(
+    refunds
+      .filter((refund) => refund.type !== "DEPOSIT")
+      .map((refund) => refund.amount),
+  );
+  const price = new Decimal(intent.amount).sub(booking.depositAmount || 0);
+
+  await prisma.$transaction([
+    prisma.paymentIntent.update({
+      where: { id: intent.id },
+      data: {
+        refundedAmount: refunded,
+        status: refunded.gte(intent.amount) ? "REFUNDED" : "SUCCEEDED",
+      },
+    }),
+    prisma.booking.update({
+      where: { id: intent.bookingId },
+      data: {
+        paymentStatus: priceRefunded.gte(price)
+          ? "refunded"
+          : priceRefunded.gt(0)
+            ? "partially_refunded"
+            : "paid",
+      },
+    }),
+  ]);
+};
+
+// Add a refund of a captured payment to the ledger. Without `amount` the
+// rest of the payment, less `reserve`, is refunded. With `provider: false`
+// the refund was already made at the provider, under `providerRef`, and is
+// only recorded. Throws RefundError when the amount is more than is left to
+// refund.
+const recordRefund = async (
+  intent,
+  {
+    amount,
+    type,
+    reason = null,
+    user = null,
+    provider = true,
+    providerRef = null,
+    reserve = 0,
+  },
+) => {
+  const refund = await prisma.$transaction(async (tx) => {
+    await lockPayment(tx, intent.id);
+
+    const current = await tx.paymentIntent.findUnique({
+      where: { id: intent.id },
+    });
+
+    if (!["SUCCEEDED", "REFUNDED"].includes(current.status)) {
+      throw new RefundError("This payment hasn't been captured");
+    }
+
+    const remaining = new Decimal(current.amount)
+      .sub(await refundedTotal(current.id, tx))
+      .sub(reserve);
+    const value =
+      amount === undefined || amount === null
+        ? remaining
+        : new Decimal(amount).toDecimalPlaces(2);
+
+    if (value.lte(0)) {
+      throw new RefundError("Refund amount must be positive");
+    }
+
+    if (value.gt(remaining)) {
+      throw new RefundError(
+        `Only ${remaining.toFixed(2)} of this payment is left to refund`,
+      );
+    }
+
+    return tx.refund.create({
+      data: {
+        bookingId: current.bookingId,
+        paymentIntentId: current.id,
+        amount: value,
+        type,
+        reason,
+        issuedById: user ? user.id : null,
+        status: provider ? "PENDING" : "SUCCEEDED",
+        providerRef: provider ? null : providerRef,
+      },
+    });
+  });
+
+  if (provider) {
+    try {
+      const { refundRef } = await getProvider(intent.provider).refund(
+        intent.providerRef,
+        refund.amount,
+      );
+
+      await prisma.refund.update({
+        where: { id: refund.id },
+        data: { status: "SUCCEEDED", providerRef: refundRef || null },
+      });
+    } catch (error) {
+      console.error(`Error refunding payment ${intent.id}:`, error);
+
+      await prisma.refund.update({
+        where: { id: refund.id },
+        data: { status: "FAILED", error: String(error.message).slice(0, 191) },
+      });
+
+      throw new RefundError(
+        "The payment provider could not process the refund",
+        502,
+      );
+    }
+  }
+
+  await syncRefundTotals(intent);
+
+  return prisma.refund.findUnique({ where: { id: refund.id } });
+};
+
+// How much of a booking's deposit a refund can't touch: all of it while
+// held or claimed (it is returned or claimed through utils/deposits.js),
+// and the part awarded to the host once a claim is settled
+const depositReserve = (deposit) => {
+  if (!deposit) return ZERO;
+  if (["HELD", "CLAIMED"].includes(deposit.status)) return deposit.amount;
+  if (deposit.status === "SETTLED") return deposit.withheldAmount || ZERO;
+  return ZERO;
+};
+
+// Issue a refund for a booking, e.g. a goodwill refund by an admin. The
+// security deposit is left alone, see depositReserve.
+const refundBooking = async (bookingId, options) => {
+  const intent = await prisma.paymentIntent.findFirst({
+    where: { bookingId, status: { in: ["SUCCEEDED", "REFUNDED"] } },
+  });
+
+  if (!intent) {
+    throw new RefundError("This booking has no captured payment");
+  }
+
+  const deposit = await prisma.securityDeposit.findUnique({
+    where: { bookingId },
+  });
+
+  return recordRefund(intent, {
+    ...options,
+    reserve: depositReserve(deposit),
+  });
+};
+
+// How a booking's money adds up. totalPrice = refunded + retained + unpaid.
+// The security deposit is paid on top of totalPrice and reported apart.
+const refundSummary = (booking) => {
+  const captured = sum(
+    (booking.paymentIntents || [])
+      .filter((intent) => ["SUCCEEDED", "REFUNDED"].includes(intent.status))
+      .map((intent) => intent.amount),
+  );
+  const deposit = captured.gt(0)
+    ? new Decimal(booking.depositAmount || 0)
+    : new Decimal(0);
+  const succeeded = (booking.refunds || []).filter(
+    (refund) => refund.status === "SUCCEEDED",
+  );
+
+  const paid = captured.sub(deposit);
+  const refunded = sum(
+    succeeded
+      .filter((refund) => refund.type !== "DEPOSIT")
+      .map((refund) => refund.amount),
+  );
+
+  return {
+    totalPrice: booking.totalPrice,
+    paid,
+    refunded,
+    retained: paid.sub(refunded),
+    unpaid: new Decimal(booking.totalPrice).sub(paid),
+    deposit: {
+      amount: deposit,
+      returned: sum(
+        succeeded
+          .filter((refund) => refund.type === "DEPOSIT")
+          .map((refund) => refund.amount),
+      ),
+    },
+  };
+};
+
+// Booking include for the ledger and what refundSummary needs
+const refundsInclude = {
+  refunds: {
+    select: {
+      id: true,
+      amount: true,
+      type: true,
+      status: true,
+      reason: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: "asc" },
+  },
+  paymentIntents: { select: { amount: true, status: true } },
+};
+
+module.exports = {
+  REFUND_TYPES,
+  REFUND_STATUSES,
+  RefundError,
+  refundedTotal,
+  recordRefund,
+  refundBooking,
+  refundSummary,
+  refundsInclude,
+};
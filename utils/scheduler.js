@@ -0,0 +1,196 @@
+const os = require("os");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { JOBS } = require("./jobs");
+
+// How often each instance checks for due jobs
+const TICK_INTERVAL = 1000 * 30;
+// A run holds its job's lock this long, renewed every RENEW_INTERVAL while
+// it lasts. If the instance dies mid-run the lock expires and another
+// instance takes over.
+const LEASE = 1000 * 60 * 10;
+const RENEW_INTERVAL = LEASE / 3;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Take a job's lock. With `force` the job runs even if it isn't due yet,
+// but never while another run holds the lock. Returns false if not taken.
+const acquireLock = async (name, force = false) => {
+  const now = new Date();
+
+  // Make sure the lock row exists; another instance may create it first
+  await prisma.jobLock
+    .upsert({
+      where: { name },
+      create: { name, nextRunAt: now },
+      update: {},
+    })
+    .catch((error) => {
+      if (error.code !== "P2002") throw error;
+    });
+
+  const { count } = await prisma.jobLock.updateMany({
+    where: {
+      name,
+      ...(force ? {} : { nextRunAt: { lte: now } }),
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    data: {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + LEASE),
+    },
+  });
+
+  return count === 1;
+};
+
+// Keep holding a job's lock while it runs. Returns a function that stops.
+const keepLock = (name) => {
+  const timer = setInterval(() => {
+    prisma.jobLock
+      .updateMany({
+        where: { name, lockedBy: INSTANCE_ID },
+        data: { lockedUntil: new Date(Date.now() + LEASE) },
+      })
+      .catch((error) => {
+        console.error(`Error renewing the lock of job ${name}:`, error);
+      });
+  }, RENEW_INTERVAL);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+// Runs still marked running once the lock is ours were left by an instance
+// that stopped mid-run
+const failInterruptedRuns = (name) =>
+  prisma.jobRun.updateMany({
+    where: { name, status: "running" },
+    data: {
+      status: "failed",
+      error: "Interrupted: the instance running it stopped",
+      finishedAt: new Date(),
+    },
+  });
+
+const releaseLock = (name) =>
+  prisma.jobLock.updateMany({
+    where: { name, lockedBy: INSTANCE_ID },
+    data: {
+      lockedBy: null,
+      lockedUntil: null,
+      nextRunAt: new Date(Date.now() + JOBS[name].interval),
+    },
+  });
+
+// Run a job under its lock and record the run. Returns the run, or null if
+// the job wasn't due or is running elsewhere.
+const runJob = async (name, { force = false } = {}) => {
+  if (!JOBS[name]) {
+    throw new JobError("Job not found", 404);
+  }
+
+  if (!(await acquireLock(name, force))) return null;
+  const stopRenewing = keepLock(name);
+
+  let run;
+  try {
+    await failInterruptedRuns(name);
+    run = await prisma.jobRun.create({
+      data: { name, instance: INSTANCE_ID, status: "running" },
+    });
+  } catch (error) {
+    stopRenewing();
+    await releaseLock(name);
+    throw error;
+  }
+
+  try {
+    const processed = await JOBS[name].run();
+
+    return await prisma.jobRun.update({
+      where: { id: run.id },
+      data: { status: "succeeded", processed, finishedAt: new Date() },
+    });
+  } catch (error) {
+    console.error(`Error running job ${name}:`, error);
+
+    return await prisma.jobRun.update({
+      where: { id: run.id },
+      data: {
+        status: "failed",
+        error: String(error.stack || error),
+        finishedAt: new Date(),
+      },
+    });
+  } finally {
+    stopRenewing();
+    await releaseLock(name);
+  }
+};
+
+// Jobs with their lock state and latest run, for the admin endpoint
+const listJobs = async () => {
+  const locks = await prisma.jobLock.findMany();
+
+  return Promise.all(
+    Object.entries(JOBS).map(async ([name, job]) => {
+      const lock = locks.find((l) => l.name === name);
+      const lastRun = await prisma.jobRun.findFirst({
+        where: { name },
+        orderBy: { startedAt: "desc" },
+      });
+
+      return {
+        name,
+        description: job.description,
+        intervalSeconds: job.interval / 1000,
+        nextRunAt: lock ? lock.nextRunAt : null,
+        running: Boolean(
+          lock && lock.lockedUntil && lock.lockedUntil > new Date(),
+        ),
+        lockedBy: lock ? lock.lockedBy : null,
+        lastRun,
+      };
+    }),
+  );
+};
+
+// Check for due jobs periodically. Jobs run one after another so a slow job
+// doesn't overlap with itself on this instance.
+const startScheduler = () => {
+  let ticking = false;
+
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      for (const name of Object.keys(JOBS)) {
+        await runJob(name);
+      }
+    } catch (error) {
+      console.error("Error running scheduled jobs:", error);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  const timer = setInterval(tick, TICK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  JobError,
+  runJob,
+  listJobs,
+  startScheduler,
+};
@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { sessionStore } = require("../config/session");
+const { describeDevice } = require("./device");
+
+// How often lastSeenAt is written back, to avoid saving on every request
+const LAST_SEEN_INTERVAL = 1000 * 60;
+
+// Public identifier of a session. The raw session id is never sent to clients.
+const publicId = (sessionId) =>
+  crypto.createHash("sha256").update(sessionId).digest("hex").slice(0, 32);
+
+// Middleware recording device, IP and last activity on logged in sessions
+module.exports.trackSession = (req, res, next) => {
+  if (!req.session || !req.session.passport || !req.session.passport.user) {
+    return next();
+  }
+
+  const now = Date.now();
+  const meta = req.session.meta;
+
+  if (!meta) {
+    req.session.meta = {
+      userAgent: req.get("user-agent") || null,
+      device: describeDevice(req.get("user-agent")),
+      ip: req.ip,
+      createdAt: new Date(now).toISOString(),
+      lastSeenAt: new Date(now).toISOString(),
+    };
+  } else if (now - new Date(meta.lastSeenAt).getTime() > LAST_SEEN_INTERVAL) {
+    meta.lastSeenAt = new Date(now).toISOString();
+    meta.ip = req.ip;
+  }
+
+  next();
+};
+
+const findUserSessions = async (userId) => {
+  const rows = await prisma.$queryRaw`
+    SELECT session_id, expires, data FROM sessions
+    WHERE expires >= ${Math.round(Date.now() / 1000)}
+      AND JSON_EXTRACT(data, '$.passport.user.id') = ${userId}`;
+
+  return rows.map((row) => ({
+    sessionId: row.session_id,
+    expires: Number(row.expires),
+    data: JSON.parse(row.data),
+  }));
+};
+
+// Active sessions of a user, most recently used first
+module.exports.listUserSessions = async (user, currentSessionId) => {
+  const sessions = await findUserSessions(user.id);
+
+  return sessions
+    .filter(
+      // Sessions from before a password reset are dead; hide them
+      (session) =>
+        session.data.passport.user.sessionVersion === user.sessionVersion,
+    )
+    .map((session) => {
+      const meta = session.data.meta || {};
+      return {
+        id: publicId(session.sessionId),
+        device: meta.device || "Unknown device",
+        userAgent: meta.userAgent || null,
+        ip: meta.ip || null,
+        createdAt: meta.createdAt || null,
+        lastSeenAt: meta.lastSeenAt || null,
+        expiresAt: new Date(session.expires * 1000),
+        current: session.sessionId === currentSessionId,
+      };
+    })
+    .sort((a, b) => (b.lastSeenAt || "").localeCompare(a.lastSeenAt || ""));
+};
+
+module.exports.sessionPublicId = publicId;
+
+// Destroy one of the user's sessions by its public id. Returns false if the
+// session does not exist or belongs to someone else.
+module.exports.destroyUserSession = async (userId, id) => {
+  const sessions = await findUserSessions(userId);
+  const session = sessions.find((s) => publicId(s.sessionId) === id);
+
+  if (!session) return false;
+
+  await sessionStore.destroy(session.sessionId);
+  return true;
+};
+
+// Destroy all sessions of a user except, optionally, the current one
+module.exports.destroyUserSessions = async (userId, exceptSessionId) => {
+  const sessions = await findUserSessions(userId);
+  const others = sessions.filter((s) => s.sessionId !== exceptSessionId);
+
+  await Promise.all(others.map((s) => sessionStore.destroy(s.sessionId)));
+  return others.length;
+};
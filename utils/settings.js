@@ -0,0 +1,53 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+// Platform-wide settings editable by admins, with their defaults
+const DEFAULTS = {
+  requireAdminTwoFactor: false,
+  guestServiceFeePercent: 0,
+  hostCommissionPercent: 3,
+  payoutDelayDays: 1, // days after check-out
+  depositHoldDays: 3, // days after check-out
+};
+
+// Settings are read on hot paths (e.g. every admin request), so values are
+// cached briefly. Other instances pick up changes within CACHE_TTL.
+const CACHE_TTL = 1000 * 30;
+const cache = new Map();
+
+module.exports.getSetting = async (key) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await prisma.setting.findUnique({ where: { key } });
+  const value = setting ? setting.value : DEFAULTS[key];
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+  return value;
+};
+
+module.exports.getSettings = async () => {
+  const settings = await prisma.setting.findMany();
+
+  return settings.reduce(
+    (all, setting) => {
+      if (setting.key in DEFAULTS) all[setting.key] = setting.value;
+      return all;
+    },
+    { ...DEFAULTS },
+  );
+};
+
+module.exports.setSetting = async (key, value, userId) => {
+  await prisma.setting.upsert({
+    where: { key },
+    create: { key, value, updatedById: userId },
+    update: { value, updatedById: userId },
+  });
+
+  cache.delete(key);
+};
+
+module.exports.SETTING_KEYS = Object.keys(DEFAULTS);
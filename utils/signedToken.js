@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+
+const secret = () => process.env.TOKEN_SECRET || process.env.SESSION_SECRET;
+
+const signature = (encodedPayload) =>
+  crypto
+    .createHmac("sha256", secret())
+    .update(encodedPayload)
+    .digest("base64url");
+
+// Sign a JSON payload that expires after ttlSeconds. The token is
+// "<base64url payload>.<base64url HMAC-SHA256>".
+module.exports.sign = (payload, ttlSeconds) => {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const encodedPayload = Buffer.from(
+    JSON.stringify({ ...payload, exp }),
+  ).toString("base64url");
+
+  return `${encodedPayload}.${signature(encodedPayload)}`;
+};
+
+// Returns the payload, or null if the token is malformed, tampered with or expired
+module.exports.verify = (token) => {
+  if (!token || typeof token !== "string") return null;
+
+  const [encodedPayload, providedSignature, ...rest] = token.split(".");
+  if (!encodedPayload || !providedSignature || rest.length > 0) return null;
+
+  const expected = Buffer.from(signature(encodedPayload));
+  const provided = Buffer.from(providedSignature);
+  if (
+    expected.length !== provided.length ||
+    !crypto.timingSafeEqual(expected, provided)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(encodedPayload, "base64url").toString("utf8"),
+    );
+
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,151 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+const HOUR_MS = 1000 * 60 * 60;
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Whole-number rules hosts can set on a property. A missing rule means no
+// restriction.
+const COUNT_RULES = [
+  "minNights",
+  "maxNights",
+  "advanceNoticeHours",
+  "bookingWindowDays",
+  "bufferDays",
+];
+// Lists of allowed weekdays, 0 = Sunday
+const WEEKDAY_RULES = ["checkInDays", "checkOutDays"];
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+const weekdayList = (days) =>
+  [...days]
+    .sort()
+    .map((day) => WEEKDAYS[day])
+    .join(", ");
+
+// Returns an error message, or null if the stay rule fields are valid.
+// `stored` is the property being updated, whose rules apply where the body
+// leaves them out.
+module.exports.validateStayRuleFields = (body, stored = {}) => {
+  for (const field of COUNT_RULES) {
+    if (isBlank(body[field])) continue;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      return `${field} must be a whole number of 0 or more`;
+    }
+  }
+
+  for (const field of WEEKDAY_RULES) {
+    if (isBlank(body[field])) continue;
+    const days = body[field];
+    if (
+      !Array.isArray(days) ||
+      days.length === 0 ||
+      days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      return `${field} must be a list of weekdays from 0 (Sunday) to 6 (Saturday)`;
+    }
+  }
+
+  const minNights =
+    body.minNights === undefined ? stored.minNights : body.minNights;
+  const maxNights =
+    body.maxNights === undefined ? stored.maxNights : body.maxNights;
+  if (
+    !isBlank(minNights) &&
+    !isBlank(maxNights) &&
+    Number(minNights) > Number(maxNights)
+  ) {
+    return "minNights cannot be more than maxNights";
+  }
+
+  return null;
+};
+
+// Property data for the stay rules present in the body. Blank values remove
+// a rule; missing ones are left unchanged.
+module.exports.pickStayRuleFields = (body) => {
+  const data = {};
+
+  for (const field of COUNT_RULES) {
+    if (body[field] === undefined) continue;
+    data[field] = isBlank(body[field]) ? null : parseInt(body[field]);
+  }
+
+  for (const field of WEEKDAY_RULES) {
+    if (body[field] === undefined) continue;
+    data[field] = isBlank(body[field]) ? null : [...new Set(body[field])];
+  }
+
+  return data;
+};
+
+// Every stay rule the dates break, as messages for the guest. Buffer days
+// are enforced by the booking overlap check, not here.
+module.exports.stayRuleViolations = (
+  property,
+  start,
+  end,
+  now = new Date(),
+) => {
+  const violations = [];
+  const nights = Math.round((end - start) / DAY_MS);
+
+  if (property.minNights && nights < property.minNights) {
+    violations.push(
+      `The minimum stay is ${property.minNights} nights, you selected ${nights}`,
+    );
+  }
+
+  if (property.maxNights && nights > property.maxNights) {
+    violations.push(
+      `The maximum stay is ${property.maxNights} nights, you selected ${nights}`,
+    );
+  }
+
+  if (
+    property.checkInDays &&
+    !property.checkInDays.includes(start.getUTCDay())
+  ) {
+    violations.push(
+      `Check-in is only possible on ${weekdayList(property.checkInDays)}`,
+    );
+  }
+
+  if (
+    property.checkOutDays &&
+    !property.checkOutDays.includes(end.getUTCDay())
+  ) {
+    violations.push(
+      `Check-out is only possible on ${weekdayList(property.checkOutDays)}`,
+    );
+  }
+
+  if (
+    property.advanceNoticeHours &&
+    start - now < property.advanceNoticeHours * HOUR_MS
+  ) {
+    violations.push(
+      `Bookings must be made at least ${property.advanceNoticeHours} hours before check-in`,
+    );
+  }
+
+  if (
+    property.bookingWindowDays &&
+    start - now > property.bookingWindowDays * DAY_MS
+  ) {
+    violations.push(
+      `Bookings can only be made up to ${property.bookingWindowDays} days in advance`,
+    );
+  }
+
+  return violations;
+};
@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords, compatible with authenticator apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hotp = (key, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+module.exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+module.exports.generateCode = (secret, step = currentStep()) =>
+  hotp(base32Decode(secret), step);
+
+// Returns the time step the code belongs to, or null if it is invalid. One
+// step of clock drift is accepted either way. Steps at or before lastUsedStep
+// are rejected so a code cannot be replayed.
+module.exports.verifyCode = (secret, code, lastUsedStep = null) => {
+  if (!code || !/^\d{6}$/.test(String(code))) return null;
+
+  const key = base32Decode(secret);
+  const now = currentStep();
+
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+module.exports.provisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { encrypt, decrypt, hashToken } = require("./encryption");
+const totp = require("./totp");
+const { getSetting } = require("./settings");
+
+const ISSUER = process.env.TOTP_ISSUER || "Real Estate Rental";
+const RECOVERY_CODE_COUNT = 10;
+
+// Codes look like "a1b2c-d3e4f"; dashes and case are ignored when checking
+const normalizeRecoveryCode = (code) =>
+  String(code).replace(/[\s-]/g, "").toLowerCase();
+
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(5).toString("hex");
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+// Create a new (not yet enabled) secret for the user and return it with
+// the otpauth:// URI to show as a QR code
+module.exports.startEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorSecret: encrypt(secret),
+      twoFactorEnabled: false,
+      twoFactorLastStep: null,
+    },
+  });
+
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri({
+      secret,
+      accountName: user.email,
+      issuer: ISSUER,
+    }),
+  };
+};
+
+// Replace the user's recovery codes and return the new ones. They are only
+// ever shown once.
+module.exports.generateRecoveryCodes = async (userId) => {
+  const codes = Array.from(
+    { length: RECOVERY_CODE_COUNT },
+    generateRecoveryCode,
+  );
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map((code) => ({
+        userId,
+        codeHash: hashToken(normalizeRecoveryCode(code)),
+      })),
+    }),
+  ]);
+
+  return codes;
+};
+
+// Check a TOTP code against the user's secret, enabled or pending
+const verifyTotp = async (userId, code) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorSecret: true, twoFactorLastStep: true },
+  });
+
+  if (!user || !user.twoFactorSecret) return false;
+
+  const step = totp.verifyCode(
+    decrypt(user.twoFactorSecret),
+    code,
+    user.twoFactorLastStep,
+  );
+  if (step === null) return false;
+
+  // Conditional update so a code can't be used twice concurrently
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+    },
+    data: { twoFactorLastStep: step },
+  });
+
+  return count > 0;
+};
+
+// Confirm enrollment with a first code from the authenticator app
+module.exports.enableTwoFactor = async (userId, code) => {
+  if (!(await verifyTotp(userId, code))) return null;
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorEnabled: true },
+  });
+
+  return module.exports.generateRecoveryCodes(userId);
+};
+
+module.exports.disableTwoFactor = async (userId) => {
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+      },
+    }),
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+  ]);
+};
+
+// Accepts either a TOTP code or an unused recovery code
+module.exports.verifySecondFactor = async (userId, code) => {
+  if (!code) return false;
+
+  if (/^\d{6}$/.test(String(code))) {
+    return verifyTotp(userId, code);
+  }
+
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+module.exports.remainingRecoveryCodes = async (userId) => {
+  return prisma.recoveryCode.count({ where: { userId, usedAt: null } });
+};
+
+// Admins must have 2FA enabled when the requireAdminTwoFactor setting is on
+module.exports.isTwoFactorMissing = async (user) => {
+  if (user.role !== "ADMIN" || user.twoFactorEnabled) return false;
+  return Boolean(await getSetting("requireAdminTwoFactor"));
+};
@@ -0,0 +1,60 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { generateSecureToken, hashToken } = require("./encryption");
+
+// Lifetime of each token purpose in milliseconds
+const TOKEN_TTL = {
+  EMAIL_VERIFICATION: 1000 * 60 * 60 * 24,
+  PASSWORD_RESET: 1000 * 60 * 60,
+  EMAIL_CHANGE: 1000 * 60 * 60 * 24,
+};
+
+// Issue a new token, invalidating any unused tokens of the same purpose.
+// Returns the raw token, which is only ever sent to the user.
+module.exports.issueUserToken = async (userId, purpose) => {
+  const token = generateSecureToken();
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, purpose, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL[purpose]),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+// Mark a token as used and return its record, or null if it is unknown,
+// expired or already used
+module.exports.consumeUserToken = async (token, purpose) => {
+  if (!token || typeof token !== "string") return null;
+
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Conditional update so that two concurrent requests cannot both use it
+  const { count } = await prisma.userToken.updateMany({
+    where: { tokenHash, purpose, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now },
+  });
+
+  if (count === 0) return null;
+
+  return prisma.userToken.findUnique({ where: { tokenHash } });
+};
+
+// Most recent token of a purpose, used to rate-limit resends
+module.exports.latestUserToken = async (userId, purpose) => {
+  return prisma.userToken.findFirst({
+    where: { userId, purpose },
+    orderBy: { createdAt: "desc" },
+  });
+};
@@ -0,0 +1,25 @@
+// Fields loaded into req.user. Shared by every way of logging in so the user
+// object looks the same for sessions, bearer tokens and OpenID Connect.
+module.exports.sessionUserSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  phone: true,
+  profileImage: true,
+  bio: true,
+  isVerified: true,
+  pendingEmail: true,
+  twoFactorEnabled: true,
+  sessionVersion: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Pick the session fields from a full user row, dropping the password and
+// two-factor secrets
+module.exports.toSessionUser = (user) =>
+  Object.keys(module.exports.sessionUserSelect).reduce((picked, field) => {
+    picked[field] = user[field];
+    return picked;
+  }, {});